@@ -0,0 +1,14 @@
+/**
+ * Background Service Worker Entry - Coordinates auto-scroll state across tabs,
+ * keeps the toolbar badge in sync and routes keyboard commands and context menus
+ */
+
+import { tabCoordinator } from "./src/background/TabCoordinator.js";
+import { badgeManager } from "./src/background/BadgeManager.js";
+import { commandRouter } from "./src/background/CommandRouter.js";
+import { contextMenuManager } from "./src/background/ContextMenuManager.js";
+
+tabCoordinator.initialize();
+badgeManager.initialize();
+commandRouter.initialize();
+contextMenuManager.initialize();
@@ -0,0 +1,194 @@
+import { statsManager } from "./src/storage/StatsManager.js";
+import { settingsManager } from "./src/storage/SettingsManager.js";
+import { SITE_NAMES, SITE_ICONS, SITE_COLORS } from "./src/storage/defaults.js";
+
+document.addEventListener("DOMContentLoaded", () => {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  const elements = {
+    summaryGrid: document.getElementById("summaryGrid"),
+    metricSelect: document.getElementById("metricSelect"),
+    dailyChart: document.getElementById("dailyChart"),
+    weeklyChart: document.getElementById("weeklyChart"),
+    siteChart: document.getElementById("siteChart"),
+    emptyState: document.getElementById("emptyState"),
+  };
+
+  const METRICS = {
+    scrolls: { label: "Videos", format: (value) => String(value) },
+    watchedTime: { label: "Watch time", format: formatDuration },
+  };
+
+  async function loadDashboard() {
+    try {
+      const [settings] = await Promise.all([settingsManager.initialize(), statsManager.initialize()]);
+      document.documentElement.dataset.theme = settings.theme || "dark";
+
+      elements.emptyState.hidden = statsManager.getHistory().length > 0;
+      renderSummary();
+      renderCharts();
+    } catch (error) {
+      console.error("[InstaReelAutoScroll] Failed to load dashboard:", error);
+    }
+  }
+
+  // ==================== Summary ====================
+
+  function renderSummary() {
+    const averages = statsManager.getAverages();
+
+    const cards = [
+      { label: "Videos scrolled", value: String(averages.totalScrolls) },
+      { label: "Total watch time", value: formatDuration(averages.totalWatchedTime) },
+      { label: "Sessions", value: String(averages.sessions) },
+      { label: "Videos per session", value: formatNumber(averages.videosPerSession) },
+      { label: "Mean video length", value: formatDuration(averages.meanDuration) },
+      { label: "Mean watched per video", value: formatDuration(averages.meanWatchedTime) },
+    ];
+
+    elements.summaryGrid.replaceChildren(...cards.map(createSummaryCard));
+  }
+
+  function createSummaryCard({ label, value }) {
+    const card = document.createElement("div");
+    card.className = "summary-card";
+
+    const valueEl = document.createElement("span");
+    valueEl.className = "summary-value";
+    valueEl.textContent = value;
+
+    const labelEl = document.createElement("span");
+    labelEl.className = "summary-label";
+    labelEl.textContent = label;
+
+    card.append(valueEl, labelEl);
+    return card;
+  }
+
+  // ==================== Charts ====================
+
+  function renderCharts() {
+    const metric = elements.metricSelect.value;
+
+    const daily = statsManager.getDailyTotals(14).map((bucket) => ({
+      label: String(new Date(bucket.start).getDate()),
+      title: new Date(bucket.start).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" }),
+      value: bucket[metric],
+    }));
+
+    const weekly = statsManager.getWeeklyTotals(8).map((bucket) => ({
+      label: new Date(bucket.start).toLocaleDateString(undefined, { month: "short", day: "numeric" }),
+      title: `Week of ${new Date(bucket.start).toLocaleDateString()}`,
+      value: bucket[metric],
+    }));
+
+    const siteTotals = statsManager.getSiteTotals();
+    const sites = Object.keys(siteTotals)
+      .sort((a, b) => siteTotals[b][metric] - siteTotals[a][metric])
+      .map((siteName) => ({
+        label: `${SITE_ICONS[siteName] || ""} ${SITE_NAMES[siteName] || siteName}`.trim(),
+        value: siteTotals[siteName][metric],
+        color: SITE_COLORS[siteName],
+      }));
+
+    elements.dailyChart.replaceChildren(createColumnChart(daily, METRICS[metric]));
+    elements.weeklyChart.replaceChildren(createColumnChart(weekly, METRICS[metric]));
+    elements.siteChart.replaceChildren(createSiteChart(sites, METRICS[metric]));
+  }
+
+  function createColumnChart(data, metric) {
+    const width = 640;
+    const height = 200;
+    const top = 20;
+    const bottom = 24;
+    const plotHeight = height - top - bottom;
+    const slot = width / data.length;
+    const barWidth = slot * 0.6;
+    const max = Math.max(...data.map((d) => d.value), 0);
+
+    const svg = createSvg("svg", { viewBox: `0 0 ${width} ${height}`, role: "img" });
+    svg.append(createSvg("line", { class: "chart-axis", x1: 0, x2: width, y1: top + plotHeight, y2: top + plotHeight }));
+
+    data.forEach((d, i) => {
+      const barHeight = max > 0 ? (d.value / max) * plotHeight : 0;
+      const x = i * slot + (slot - barWidth) / 2;
+      const y = top + plotHeight - barHeight;
+
+      const bar = createSvg("rect", { class: "chart-bar", x, y, width: barWidth, height: barHeight, rx: 3 });
+      bar.append(createSvg("title", {}, `${d.title}: ${metric.format(d.value)}`));
+      svg.append(bar);
+
+      if (d.value > 0) {
+        svg.append(createSvg("text", { class: "chart-value", x: x + barWidth / 2, y: y - 6, "text-anchor": "middle" }, metric.format(d.value)));
+      }
+      svg.append(createSvg("text", { class: "chart-label", x: x + barWidth / 2, y: height - 6, "text-anchor": "middle" }, d.label));
+    });
+
+    return svg;
+  }
+
+  function createSiteChart(data, metric) {
+    const width = 640;
+    const rowHeight = 32;
+    const labelWidth = 130;
+    const valueWidth = 70;
+    const height = Math.max(data.length, 1) * rowHeight;
+    const max = Math.max(...data.map((d) => d.value), 0);
+
+    const svg = createSvg("svg", { viewBox: `0 0 ${width} ${height}`, role: "img" });
+
+    data.forEach((d, i) => {
+      const y = i * rowHeight;
+      const barWidth = max > 0 ? (d.value / max) * (width - labelWidth - valueWidth) : 0;
+
+      svg.append(createSvg("text", { class: "chart-label", x: 0, y: y + rowHeight / 2 + 4 }, d.label));
+
+      const bar = createSvg("rect", { class: "chart-bar", x: labelWidth, y: y + 6, width: barWidth, height: rowHeight - 12, rx: 3 });
+      if (d.color) {
+        bar.style.fill = d.color;
+      }
+      bar.append(createSvg("title", {}, `${d.label}: ${metric.format(d.value)}`));
+      svg.append(bar);
+
+      svg.append(createSvg("text", { class: "chart-value", x: labelWidth + barWidth + 8, y: y + rowHeight / 2 + 4 }, metric.format(d.value)));
+    });
+
+    return svg;
+  }
+
+  function createSvg(tag, attributes = {}, text = null) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      element.setAttribute(name, value);
+    }
+    if (text !== null) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  // ==================== Formatting ====================
+
+  function formatDuration(seconds) {
+    if (seconds === null || !Number.isFinite(seconds)) {
+      return "--";
+    }
+
+    const total = Math.round(seconds);
+    if (total < 60) {
+      return `${total}s`;
+    }
+    if (total < 3600) {
+      return `${Math.floor(total / 60)}m ${total % 60}s`;
+    }
+    return `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+  }
+
+  function formatNumber(value) {
+    return value === null ? "--" : value.toFixed(1);
+  }
+
+  elements.metricSelect.addEventListener("change", renderCharts);
+
+  loadDashboard();
+});
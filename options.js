@@ -1,27 +1,359 @@
+import { settingsManager } from "./src/storage/SettingsManager.js";
+import { SETTINGS_SCHEMA, SITE_NAMES, SITE_ICONS, SITE_COLORS, SKIP_LISTS } from "./src/storage/defaults.js";
+import { parseBinding, bindingFromEvent, findConflicts } from "./src/core/HotkeyManager.js";
+
 document.addEventListener("DOMContentLoaded", () => {
   const api = window.webextApi;
-  const DEFAULT_SETTINGS = {
-    enabled: true,
-    delayAfterEnd: 600,
-    scrollFactor: 0.95,
-    retryAttempts: 2,
-    randomExtraDelay: 0,
-    debugLogging: false,
-  };
 
   const elements = {
-    enabled: document.getElementById("enabled"),
-    debugLogging: document.getElementById("debugLogging"),
-    delayAfterEnd: document.getElementById("delayAfterEnd"),
-    randomExtraDelay: document.getElementById("randomExtraDelay"),
-    scrollFactor: document.getElementById("scrollFactor"),
-    scrollFactorValue: document.getElementById("scrollFactorValue"),
-    retryAttempts: document.getElementById("retryAttempts"),
+    settingsSections: document.getElementById("settingsSections"),
+    siteOverrides: document.getElementById("siteOverrides"),
+    shortcutList: document.getElementById("shortcutList"),
+    skipLists: document.getElementById("skipLists"),
+    exportBtn: document.getElementById("exportBtn"),
+    importBtn: document.getElementById("importBtn"),
+    importFile: document.getElementById("importFile"),
+    importPreview: document.getElementById("importPreview"),
+    importSummary: document.getElementById("importSummary"),
+    importDiff: document.getElementById("importDiff"),
+    applyImportBtn: document.getElementById("applyImportBtn"),
+    cancelImportBtn: document.getElementById("cancelImportBtn"),
     saveBtn: document.getElementById("saveBtn"),
     resetBtn: document.getElementById("resetBtn"),
     statusMessage: document.getElementById("statusMessage"),
   };
 
+  // Page layout; min, max and enum values come from SETTINGS_SCHEMA
+  const SECTIONS = [
+    {
+      title: "General",
+      fields: [
+        {
+          key: "globalEnabled",
+          label: "Enable Auto-Scroll",
+          description: "Automatically scroll to the next video when current one ends",
+          control: "toggle",
+        },
+        {
+          key: "theme",
+          label: "Theme",
+          description: "Appearance of this page, applied immediately",
+          control: "select",
+          labels: { light: "Light", dark: "Dark", system: "System" },
+        },
+        {
+          key: "debugLogging",
+          label: "Debug Logging",
+          description: "Show detailed logs in browser console for troubleshooting",
+          control: "toggle",
+        },
+      ],
+    },
+    {
+      title: "Sites",
+      fields: Object.keys(SITE_NAMES).map((siteName) => ({
+        key: `sites.${siteName}.enabled`,
+        label: SITE_NAMES[siteName],
+        description: `Auto-scroll on ${SITE_NAMES[siteName]}`,
+        control: "toggle",
+        site: siteName,
+      })),
+    },
+    {
+      title: "Timing",
+      fields: [
+        {
+          key: "delayAfterEnd",
+          label: "Delay After End (ms)",
+          description: "Wait time before scrolling after video ends",
+          control: "number",
+          unit: "ms",
+          step: 100,
+        },
+        {
+          key: "randomExtraDelay",
+          label: "Random Extra Delay (ms)",
+          description: "Random delay added to make behavior more natural",
+          control: "number",
+          unit: "ms",
+          step: 50,
+        },
+      ],
+    },
+    {
+      title: "Playback",
+      fields: [
+        {
+          key: "playbackRate",
+          label: "Playback Speed",
+          description: "Speed every video plays at (1.00 = normal); the speed hotkeys change it until the page is reloaded",
+          control: "range",
+          step: 0.25,
+        },
+        {
+          key: "watchTarget.loops",
+          label: "Plays Before Scrolling",
+          description: "Let each video loop this many times before moving on",
+          control: "number",
+          unit: "plays",
+          step: 1,
+        },
+        {
+          key: "watchTarget.minWatchTime",
+          label: "Minimum Watch Time",
+          description: "Keep looping short videos until this much time has been spent on them (0 = off)",
+          control: "number",
+          unit: "s",
+          step: 5,
+        },
+      ],
+    },
+    {
+      title: "Scroll Behavior",
+      fields: [
+        {
+          key: "scrollFactor",
+          label: "Scroll Factor",
+          description: "Portion of viewport to scroll (0.6 = 60%, 1.0 = 100%)",
+          control: "range",
+          step: 0.05,
+        },
+        {
+          key: "retryAttempts",
+          label: "Retry Attempts",
+          description: "Number of scroll attempts if first one fails",
+          control: "number",
+          unit: "times",
+          step: 1,
+        },
+      ],
+    },
+    {
+      title: "Hotkeys",
+      fields: [
+        {
+          key: "hotkeys.enabled",
+          label: "Enable Hotkeys",
+          description: "Keyboard shortcuts while the page has focus",
+          control: "toggle",
+        },
+        {
+          key: "hotkeys.togglePause",
+          label: "Pause / Resume",
+          description: "Toggle auto-scroll on the current page",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.scrollNext",
+          label: "Next Video",
+          description: "Skip to the next video",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.scrollPrev",
+          label: "Previous Video",
+          description: "Go back to the previous video",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.replay",
+          label: "Replay",
+          description: "Restart the current video",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.skipAhead",
+          label: "Skip Ahead",
+          description: "Skip several videos at once",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.skipCount",
+          label: "Videos To Skip",
+          description: "How many videos Skip Ahead moves forward",
+          control: "number",
+          unit: "videos",
+          step: 1,
+        },
+        {
+          key: "hotkeys.toggleMute",
+          label: "Mute / Unmute",
+          description: "Toggle the current video's sound",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.speedUp",
+          label: "Speed Up",
+          description: "Raise playback speed by 0.25×",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.speedDown",
+          label: "Slow Down",
+          description: "Lower playback speed by 0.25×",
+          control: "hotkey",
+        },
+        {
+          key: "hotkeys.like",
+          label: "Like",
+          description: "Like the current video on the site",
+          control: "hotkey",
+        },
+      ],
+    },
+    {
+      title: "Safety",
+      fields: [
+        {
+          key: "safety.stopOnTabInactive",
+          label: "Stop When Tab Inactive",
+          description: "Don't auto-scroll while the tab is in the background",
+          control: "toggle",
+        },
+        {
+          key: "safety.stopOnManualScroll",
+          label: "Stop On Manual Scroll",
+          description: "Hold off auto-scroll after you scroll yourself",
+          control: "toggle",
+        },
+        {
+          key: "safety.pauseOnInteraction",
+          label: "Pause On Interaction",
+          description: "Hold off auto-scroll while you click or tap the video",
+          control: "toggle",
+        },
+        {
+          key: "safety.manualScrollCooldown",
+          label: "Manual Scroll Cooldown (ms)",
+          description: "How long to wait after a manual scroll before auto-scrolling again",
+          control: "number",
+          unit: "ms",
+          step: 500,
+        },
+      ],
+    },
+    {
+      title: "Skip Rules",
+      fields: [
+        {
+          key: "skipRules.minDuration",
+          label: "Skip Shorter Than",
+          description: "Scroll past videos shorter than this, such as teasers and short ads (0 = off)",
+          control: "number",
+          unit: "s",
+          step: 1,
+        },
+        {
+          key: "skipRules.maxDuration",
+          label: "Skip Longer Than",
+          description: "Scroll past videos longer than this (0 = off)",
+          control: "number",
+          unit: "s",
+          step: 30,
+        },
+        {
+          key: "skipRules.skipAds",
+          label: "Skip Ads",
+          description: "Scroll past sponsored videos and promoted posts",
+          control: "toggle",
+        },
+        {
+          key: "skipRules.adGracePeriod",
+          label: "Ad Grace Period",
+          description: "How long an ad plays before it is skipped",
+          control: "number",
+          unit: "s",
+          step: 1,
+        },
+        {
+          key: "skipRules.skipWatched",
+          label: "Skip Watched Videos",
+          description: "Scroll past videos you already watched to the end, when a feed shows them again",
+          control: "toggle",
+        },
+        {
+          key: "skipRules.watchedWithinDays",
+          label: "Watched Within",
+          description: "How long a watched video is remembered",
+          control: "number",
+          unit: "days",
+          step: 1,
+        },
+      ],
+    },
+    {
+      title: "Daily Limits",
+      fields: [
+        {
+          key: "limits.maxVideosPerDay",
+          label: "Max Videos Per Day",
+          description: "Stop auto-scrolling after this many videos across all sites (0 = no limit)",
+          control: "number",
+          unit: "videos",
+          step: 5,
+        },
+        {
+          key: "limits.maxMinutesPerSite",
+          label: "Max Minutes Per Site",
+          description: "Stop auto-scrolling on a site after this much watch time there (0 = no limit)",
+          control: "number",
+          unit: "min",
+          step: 5,
+        },
+        {
+          key: "limits.resetHour",
+          label: "Reset Time",
+          description: "Local hour when the daily counts start over (0 = midnight)",
+          control: "number",
+          unit: ":00",
+          step: 1,
+        },
+      ],
+    },
+  ];
+
+  const FIELDS = SECTIONS.flatMap((section) => section.fields);
+
+  // Settings each site may override; empty inputs inherit the global value
+  const OVERRIDE_FIELDS = [
+    { key: "delayAfterEnd", label: "Delay After End", type: "number", unit: "ms", step: 100 },
+    { key: "randomExtraDelay", label: "Random Extra Delay", type: "number", unit: "ms", step: 50 },
+    { key: "playbackRate", label: "Playback Speed", type: "number", unit: "×", step: 0.25 },
+    { key: "watchTarget.loops", label: "Plays Before Scrolling", type: "number", unit: "plays", step: 1 },
+    { key: "watchTarget.minWatchTime", label: "Minimum Watch Time", type: "number", unit: "s", step: 5 },
+    { key: "scrollFactor", label: "Scroll Factor", type: "number", unit: "×", step: 0.05 },
+    { key: "retryAttempts", label: "Retry Attempts", type: "number", unit: "times", step: 1 },
+    { key: "safety.manualScrollCooldown", label: "Manual Scroll Cooldown", type: "number", unit: "ms", step: 500 },
+    { key: "safety.stopOnTabInactive", label: "Stop When Tab Inactive", type: "boolean" },
+    { key: "safety.stopOnManualScroll", label: "Stop On Manual Scroll", type: "boolean" },
+    { key: "safety.pauseOnInteraction", label: "Pause On Interaction", type: "boolean" },
+    { key: "skipRules.minDuration", label: "Skip Shorter Than", type: "number", unit: "s", step: 1 },
+    { key: "skipRules.maxDuration", label: "Skip Longer Than", type: "number", unit: "s", step: 30 },
+    { key: "skipRules.skipAds", label: "Skip Ads", type: "boolean" },
+    { key: "skipRules.adGracePeriod", label: "Ad Grace Period", type: "number", unit: "s", step: 1 },
+    { key: "skipRules.skipWatched", label: "Skip Watched Videos", type: "boolean" },
+    { key: "skipRules.watchedWithinDays", label: "Watched Within", type: "number", unit: "days", step: 1 },
+  ];
+
+  const KEY_LABELS = {
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+  };
+
+  const MODIFIER_LABELS = {
+    mod: "Ctrl/⌘",
+    ctrl: "Ctrl",
+    alt: "Alt",
+    shift: "Shift",
+    meta: "⌘",
+  };
+
+  const controls = new Map();
+  let recordingButton = null;
+  let pendingImport = null;
+
   if (!api || !api.isSupported) {
     console.error("[InstaReelAutoScroll] Extension APIs are not available in this browser");
     return;
@@ -29,14 +361,13 @@ document.addEventListener("DOMContentLoaded", () => {
 
   async function loadSettings() {
     try {
-      const settings = await api.storageGet(DEFAULT_SETTINGS);
-      elements.enabled.checked = settings.enabled;
-      elements.debugLogging.checked = settings.debugLogging;
-      elements.delayAfterEnd.value = settings.delayAfterEnd;
-      elements.randomExtraDelay.value = settings.randomExtraDelay;
-      elements.scrollFactor.value = settings.scrollFactor;
-      elements.scrollFactorValue.textContent = settings.scrollFactor.toFixed(2);
-      elements.retryAttempts.value = settings.retryAttempts;
+      const settings = await settingsManager.initialize();
+      for (const field of FIELDS) {
+        writeValue(field, getPath(settings, field.key));
+      }
+      applyTheme(settings.theme);
+      renderSiteOverrides();
+      renderSkipLists();
       console.log("[InstaReelAutoScroll] Settings loaded:", settings);
     } catch (error) {
       console.error("[InstaReelAutoScroll] Failed to load settings:", error);
@@ -45,42 +376,718 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   async function saveSettings() {
-    const settings = {
-      enabled: elements.enabled.checked,
-      debugLogging: elements.debugLogging.checked,
-      delayAfterEnd: parseInt(elements.delayAfterEnd.value, 10) || DEFAULT_SETTINGS.delayAfterEnd,
-      randomExtraDelay: parseInt(elements.randomExtraDelay.value, 10) || 0,
-      scrollFactor: parseFloat(elements.scrollFactor.value) || DEFAULT_SETTINGS.scrollFactor,
-      retryAttempts: parseInt(elements.retryAttempts.value, 10) || DEFAULT_SETTINGS.retryAttempts,
-    };
-
-    settings.delayAfterEnd = Math.max(0, Math.min(5000, settings.delayAfterEnd));
-    settings.randomExtraDelay = Math.max(0, Math.min(1000, settings.randomExtraDelay));
-    settings.scrollFactor = Math.max(0.6, Math.min(1.5, settings.scrollFactor));
-    settings.retryAttempts = Math.max(1, Math.min(5, settings.retryAttempts));
+    const { settings, fixed } = settingsManager.validate(collectSettings());
 
-    try {
-      await api.storageSet(settings);
-      showStatus("Settings saved successfully", "success");
+    if (await settingsManager.save(settings)) {
+      await loadSettings();
+      if (fixed.length > 0) {
+        showStatus(`Settings saved, corrected: ${fixed.map((fix) => fix.key).join(", ")}`, "info");
+      } else {
+        showStatus("Settings saved successfully", "success");
+      }
       console.log("[InstaReelAutoScroll] Settings saved:", settings);
-    } catch (error) {
-      console.error("[InstaReelAutoScroll] Failed to save settings:", error);
+    } else {
       showStatus("Failed to save settings", "error");
     }
   }
 
   async function resetSettings() {
-    try {
-      await api.storageSet(DEFAULT_SETTINGS);
+    if (await settingsManager.reset()) {
       await loadSettings();
       showStatus("Settings reset to defaults", "info");
       console.log("[InstaReelAutoScroll] Settings reset to defaults");
-    } catch (error) {
-      console.error("[InstaReelAutoScroll] Failed to reset settings:", error);
+    } else {
       showStatus("Failed to reset settings", "error");
     }
   }
 
+  function collectSettings() {
+    const settings = {};
+
+    for (const field of FIELDS) {
+      setPath(settings, field.key, readValue(field));
+    }
+
+    const overrides = collectSiteOverrides();
+    for (const siteName in overrides) {
+      settings.sites[siteName] = { ...settings.sites[siteName], ...overrides[siteName] };
+    }
+
+    return settings;
+  }
+
+  function getRule(path) {
+    let rule = { properties: SETTINGS_SCHEMA };
+    for (const key of path.split(".")) {
+      rule = rule?.properties?.[key];
+    }
+    return rule || {};
+  }
+
+  function getPath(obj, path) {
+    return path.split(".").reduce((value, key) => value?.[key], obj);
+  }
+
+  function setPath(obj, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let target = obj;
+
+    for (const key of keys) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+
+    target[last] = value;
+  }
+
+  function applyTheme(theme) {
+    document.documentElement.dataset.theme = theme || "dark";
+  }
+
+  // ==================== Settings Sections ====================
+
+  function renderSections() {
+    for (const section of SECTIONS) {
+      const container = document.createElement("section");
+      container.className = "settings-section";
+
+      const title = document.createElement("h2");
+      title.className = "section-title";
+      title.textContent = section.title;
+      container.append(title);
+
+      for (const field of section.fields) {
+        container.append(createFieldRow(field));
+      }
+
+      elements.settingsSections.append(container);
+    }
+  }
+
+  function createFieldRow(field) {
+    const id = field.key.replace(/\./g, "-");
+
+    const label = document.createElement("label");
+    label.className = "setting-label";
+    label.htmlFor = id;
+    if (field.site) {
+      label.append(createSiteIcon(field.site));
+    }
+    label.append(field.label);
+
+    const description = document.createElement("p");
+    description.className = "setting-description";
+    description.textContent = field.description;
+
+    const info = document.createElement("div");
+    info.className = "setting-info";
+    info.append(label, description);
+
+    const row = document.createElement("div");
+    row.className = "setting-item";
+    row.append(info, createControl(field, id));
+    return row;
+  }
+
+  function createControl(field, id) {
+    const rule = getRule(field.key);
+
+    switch (field.control) {
+      case "toggle": {
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.id = id;
+
+        const slider = document.createElement("span");
+        slider.className = "slider";
+
+        const wrapper = document.createElement("label");
+        wrapper.className = "toggle-switch";
+        wrapper.append(input, slider);
+
+        controls.set(field.key, input);
+        return wrapper;
+      }
+
+      case "select": {
+        const select = document.createElement("select");
+        select.id = id;
+        for (const value of rule.enum || []) {
+          const option = document.createElement("option");
+          option.value = value;
+          option.textContent = field.labels?.[value] || value;
+          select.append(option);
+        }
+
+        if (field.key === "theme") {
+          select.addEventListener("change", () => {
+            applyTheme(select.value);
+            settingsManager.save({ theme: select.value });
+          });
+        }
+
+        controls.set(field.key, select);
+        return wrapControl(select);
+      }
+
+      case "range": {
+        const input = document.createElement("input");
+        input.type = "range";
+        input.id = id;
+        input.min = rule.min;
+        input.max = rule.max;
+        input.step = field.step;
+
+        const value = document.createElement("span");
+        value.className = "range-value";
+        input.addEventListener("input", () => {
+          value.textContent = parseFloat(input.value).toFixed(2);
+        });
+
+        controls.set(field.key, input);
+        const wrapper = wrapControl(input, value);
+        wrapper.classList.add("range-control");
+        return wrapper;
+      }
+
+      case "hotkey": {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.id = id;
+        button.className = "hotkey-btn";
+        button.title = "Click, then press a key or combination. Backspace disables the action.";
+        button.addEventListener("click", () => startRecording(button));
+        button.addEventListener("blur", () => stopRecording());
+
+        controls.set(field.key, button);
+        return wrapControl(button);
+      }
+
+      default: {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.id = id;
+        input.min = rule.min;
+        input.max = rule.max;
+        input.step = field.step;
+
+        input.addEventListener("change", () => {
+          const partial = {};
+          setPath(partial, field.key, input.value);
+          input.value = getPath(settingsManager.validate(partial).settings, field.key);
+        });
+        input.addEventListener("keypress", (e) => {
+          if (e.key === "Enter") {
+            saveSettings();
+          }
+        });
+
+        controls.set(field.key, input);
+
+        const unit = document.createElement("span");
+        unit.className = "unit";
+        unit.textContent = field.unit;
+        return wrapControl(input, unit);
+      }
+    }
+  }
+
+  function wrapControl(...children) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "setting-control";
+    wrapper.append(...children);
+    return wrapper;
+  }
+
+  function readValue(field) {
+    const control = controls.get(field.key);
+
+    switch (field.control) {
+      case "toggle":
+        return control.checked;
+      case "hotkey":
+        return control.dataset.value;
+      default:
+        return control.value;
+    }
+  }
+
+  function writeValue(field, value) {
+    const control = controls.get(field.key);
+
+    switch (field.control) {
+      case "toggle":
+        control.checked = Boolean(value);
+        break;
+      case "hotkey":
+        setHotkeyButton(control, value);
+        break;
+      case "range":
+        control.value = value;
+        control.dispatchEvent(new Event("input"));
+        break;
+      default:
+        control.value = value;
+    }
+  }
+
+  function createSiteIcon(siteName) {
+    const icon = document.createElement("span");
+    icon.className = "site-icon";
+    icon.style.background = SITE_COLORS[siteName];
+    icon.textContent = SITE_ICONS[siteName];
+    return icon;
+  }
+
+  // ==================== Skip Lists ====================
+
+  // Labels for each SKIP_LISTS setting
+  const SKIP_LIST_LABELS = {
+    blockedCreators: { title: "Creators", placeholder: "Handle, e.g. username", empty: "No blocked creators" },
+    blockedHashtags: { title: "Hashtags", placeholder: "Hashtag, e.g. #ad", empty: "No blocked hashtags" },
+    blockedKeywords: { title: "Caption keywords", placeholder: "Word or phrase", empty: "No blocked keywords" },
+  };
+
+  function renderSkipLists() {
+    const groups = Object.keys(SKIP_LISTS).map((listKey) => createSkipListGroup(listKey));
+    elements.skipLists.replaceChildren(...groups);
+  }
+
+  function createSkipListGroup(listKey) {
+    const labels = SKIP_LIST_LABELS[listKey];
+    const lists = settingsManager.getSettings()[listKey] || {};
+
+    const group = document.createElement("div");
+    group.className = "skip-list";
+
+    const title = document.createElement("h3");
+    title.className = "skip-list-title";
+    title.textContent = labels.title;
+
+    const rows = Object.keys(SITE_NAMES)
+      .filter((siteName) => lists[siteName]?.length > 0)
+      .map((siteName) => createBlockedRow(listKey, siteName, lists[siteName]));
+
+    if (rows.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "blocked-empty";
+      empty.textContent = labels.empty;
+      rows.push(empty);
+    }
+
+    group.append(title, createSkipListForm(listKey), ...rows);
+    return group;
+  }
+
+  function createSkipListForm(listKey) {
+    const form = document.createElement("form");
+    form.className = "skip-list-add";
+
+    const siteSelect = document.createElement("select");
+    for (const [siteName, displayName] of Object.entries(SITE_NAMES)) {
+      const option = document.createElement("option");
+      option.value = siteName;
+      option.textContent = displayName;
+      siteSelect.append(option);
+    }
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = SKIP_LIST_LABELS[listKey].placeholder;
+    input.required = true;
+
+    const addBtn = document.createElement("button");
+    addBtn.type = "submit";
+    addBtn.className = "btn btn-secondary";
+    addBtn.textContent = "Add";
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      addSkipEntry(listKey, siteSelect.value, input.value);
+    });
+
+    form.append(siteSelect, input, addBtn);
+    return form;
+  }
+
+  function createBlockedRow(listKey, siteName, entries) {
+    const row = document.createElement("div");
+    row.className = "blocked-row";
+
+    const chips = document.createElement("div");
+    chips.className = "blocked-chips";
+
+    for (const entry of entries) {
+      const label = listKey === "blockedHashtags" ? `#${entry}` : entry;
+      const chip = document.createElement("span");
+      chip.className = "blocked-chip";
+      chip.textContent = label;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "blocked-remove";
+      removeBtn.title = `Remove ${label}`;
+      removeBtn.textContent = "×";
+      removeBtn.addEventListener("click", () => removeSkipEntry(listKey, siteName, entry, label));
+
+      chip.append(removeBtn);
+      chips.append(chip);
+    }
+
+    row.append(createSiteIcon(siteName), chips);
+    return row;
+  }
+
+  async function addSkipEntry(listKey, siteName, value) {
+    if (!value.trim()) return;
+
+    if (await settingsManager.addToSkipList(listKey, siteName, value)) {
+      renderSkipLists();
+      showStatus(`Added ${value.trim()} for ${SITE_NAMES[siteName]}`, "success");
+    } else {
+      showStatus("Failed to update skip list", "error");
+    }
+  }
+
+  async function removeSkipEntry(listKey, siteName, entry, label) {
+    if (await settingsManager.removeFromSkipList(listKey, siteName, entry)) {
+      renderSkipLists();
+      showStatus(`Removed ${label}`, "success");
+    } else {
+      showStatus("Failed to update skip list", "error");
+    }
+  }
+
+  // ==================== Browser Shortcuts ====================
+
+  async function renderShortcuts() {
+    let commands;
+    try {
+      commands = await api.commandsGetAll();
+    } catch (error) {
+      console.log("[InstaReelAutoScroll] Browser shortcuts unavailable:", error.message || error);
+      elements.shortcutList.closest(".settings-section").hidden = true;
+      return;
+    }
+
+    const items = commands
+      .filter((command) => command.description)
+      .map((command) => {
+        const item = document.createElement("li");
+        item.className = "shortcut-item";
+
+        const label = document.createElement("span");
+        label.textContent = command.description;
+
+        const keys = document.createElement("kbd");
+        keys.className = "shortcut-keys";
+        keys.textContent = command.shortcut || "Not set";
+
+        item.append(label, keys);
+        return item;
+      });
+
+    elements.shortcutList.replaceChildren(...items);
+  }
+
+  // ==================== Hotkey Recorder ====================
+
+  function formatBinding(binding) {
+    if (!binding) {
+      return "Disabled";
+    }
+
+    const parsed = parseBinding(binding);
+    if (!parsed) {
+      return binding;
+    }
+
+    const parts = Object.keys(MODIFIER_LABELS)
+      .filter((modifier) => parsed[modifier])
+      .map((modifier) => MODIFIER_LABELS[modifier]);
+    parts.push(KEY_LABELS[parsed.key] || parsed.key);
+    return parts.join("+");
+  }
+
+  function setHotkeyButton(button, binding) {
+    button.dataset.value = binding || "";
+    button.textContent = formatBinding(binding);
+    showHotkeyConflicts(button, binding);
+  }
+
+  function showHotkeyConflicts(button, binding) {
+    const info = button.closest(".setting-item")?.querySelector(".setting-info");
+    if (!info) {
+      return;
+    }
+
+    let warning = info.querySelector(".hotkey-conflict");
+    if (!warning) {
+      warning = document.createElement("p");
+      warning.className = "hotkey-conflict";
+      info.append(warning);
+    }
+
+    const conflicts = findConflicts(binding);
+    warning.hidden = conflicts.length === 0;
+    warning.textContent = conflicts.length > 0
+      ? `Also triggers ${conflicts.map((conflict) => `${SITE_NAMES[conflict.siteName]}: ${conflict.description}`).join(", ")}`
+      : "";
+  }
+
+  function startRecording(button) {
+    stopRecording();
+    recordingButton = button;
+    button.classList.add("recording");
+    button.textContent = "Press keys…";
+  }
+
+  function stopRecording() {
+    if (!recordingButton) {
+      return;
+    }
+    recordingButton.classList.remove("recording");
+    setHotkeyButton(recordingButton, recordingButton.dataset.value);
+    recordingButton = null;
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (!recordingButton) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === "Escape") {
+      stopRecording();
+      return;
+    }
+
+    if (e.key === "Backspace" || e.key === "Delete") {
+      recordingButton.dataset.value = "";
+      stopRecording();
+      return;
+    }
+
+    // Wait for the key that completes a modifier combination
+    const binding = bindingFromEvent(e);
+    if (!binding) {
+      return;
+    }
+
+    recordingButton.dataset.value = binding;
+    stopRecording();
+  }, true);
+
+  // ==================== Per-Site Overrides ====================
+
+  function renderSiteOverrides() {
+    elements.siteOverrides.replaceChildren();
+
+    for (const siteName of Object.keys(SITE_NAMES)) {
+      const details = document.createElement("details");
+      details.className = "site-overrides";
+      details.dataset.site = siteName;
+
+      const name = document.createElement("span");
+      name.textContent = SITE_NAMES[siteName];
+
+      const count = document.createElement("span");
+      count.className = "override-count";
+
+      const summary = document.createElement("summary");
+      summary.append(createSiteIcon(siteName), name, count);
+      details.append(summary);
+
+      const overrides = settingsManager.getSiteOverrides(siteName);
+      for (const field of OVERRIDE_FIELDS) {
+        details.append(createOverrideRow(siteName, field, overrides, details));
+      }
+
+      elements.siteOverrides.append(details);
+      updateOverrideStates(details);
+    }
+  }
+
+  function createOverrideRow(siteName, field, overrides, details) {
+    const id = `override-${siteName}-${field.key.replace(".", "-")}`;
+    const globalValue = settingsManager.get(field.key);
+    const siteValue = getPath(overrides, field.key);
+
+    const label = document.createElement("label");
+    label.className = "setting-label";
+    label.htmlFor = id;
+    label.textContent = field.label;
+
+    const state = document.createElement("span");
+    state.className = "override-state";
+
+    const info = document.createElement("div");
+    info.className = "setting-info";
+    info.append(label, state);
+
+    let input;
+    if (field.type === "boolean") {
+      input = document.createElement("select");
+      const options = [["", `Inherit (${globalValue ? "On" : "Off"})`], ["true", "On"], ["false", "Off"]];
+      for (const [value, text] of options) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        input.append(option);
+      }
+      input.value = siteValue === undefined ? "" : String(siteValue);
+    } else {
+      const rule = getRule(field.key);
+      input = document.createElement("input");
+      input.type = "number";
+      input.min = rule.min;
+      input.max = rule.max;
+      input.step = field.step;
+      input.placeholder = globalValue;
+      input.value = siteValue === undefined ? "" : siteValue;
+    }
+    input.id = id;
+    input.dataset.key = field.key;
+    input.addEventListener("input", () => updateOverrideStates(details));
+
+    const control = wrapControl(input);
+    if (field.unit) {
+      const unit = document.createElement("span");
+      unit.className = "unit";
+      unit.textContent = field.unit;
+      control.append(unit);
+    }
+
+    const row = document.createElement("div");
+    row.className = "setting-item";
+    row.append(info, control);
+    return row;
+  }
+
+  function updateOverrideStates(details) {
+    let overridden = 0;
+
+    for (const input of details.querySelectorAll("[data-key]")) {
+      const state = input.closest(".setting-item").querySelector(".override-state");
+      const isOverridden = input.value !== "";
+      state.textContent = isOverridden ? "Overridden" : "Inherited";
+      state.classList.toggle("overridden", isOverridden);
+      if (isOverridden) {
+        overridden++;
+      }
+    }
+
+    details.querySelector(".override-count").textContent = overridden > 0
+      ? `${overridden} overridden`
+      : "Inherits all";
+  }
+
+  function collectSiteOverrides() {
+    const sites = {};
+
+    for (const details of elements.siteOverrides.querySelectorAll("details")) {
+      const site = {};
+
+      for (const input of details.querySelectorAll("[data-key]")) {
+        if (input.value === "") {
+          continue;
+        }
+        const value = input.tagName === "SELECT" ? input.value === "true" : input.value;
+        setPath(site, input.dataset.key, value);
+      }
+
+      sites[details.dataset.site] = site;
+    }
+
+    return sites;
+  }
+
+  // ==================== Import / Export ====================
+
+  function exportSettings() {
+    const json = JSON.stringify(settingsManager.exportSettings(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `autoscroll-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    showStatus("Settings exported", "success");
+  }
+
+  async function previewImport(file) {
+    let result;
+    try {
+      result = settingsManager.parseImport(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error("[InstaReelAutoScroll] Failed to read settings file:", error);
+      showStatus(`Import failed: ${error.message}`, "error");
+      return;
+    }
+
+    const changes = settingsManager.diff(settingsManager.getSettings(), result.settings);
+    pendingImport = result.settings;
+
+    elements.importDiff.replaceChildren(...changes.map(createDiffItem));
+    elements.importSummary.textContent = changes.length > 0
+      ? `${file.name} will change ${changes.length} setting${changes.length === 1 ? "" : "s"}:`
+      : `${file.name} matches your current settings.`;
+    if (result.fixed.length > 0) {
+      elements.importSummary.textContent += ` Invalid values were corrected: ${result.fixed.map((fix) => fix.key).join(", ")}.`;
+    }
+    elements.applyImportBtn.disabled = changes.length === 0;
+    elements.importPreview.hidden = false;
+  }
+
+  function createDiffItem(change) {
+    const key = document.createElement("span");
+    key.className = "diff-key";
+    key.textContent = change.key;
+
+    const from = document.createElement("span");
+    from.className = "diff-from";
+    from.textContent = formatDiffValue(change.from);
+
+    const to = document.createElement("span");
+    to.className = "diff-to";
+    to.textContent = formatDiffValue(change.to);
+
+    const values = document.createElement("span");
+    values.append(from, " → ", to);
+
+    const item = document.createElement("li");
+    item.append(key, values);
+    return item;
+  }
+
+  function formatDiffValue(value) {
+    return value === undefined ? "(inherit)" : JSON.stringify(value);
+  }
+
+  function closeImportPreview() {
+    pendingImport = null;
+    elements.importPreview.hidden = true;
+    elements.importDiff.replaceChildren();
+    elements.importFile.value = "";
+  }
+
+  async function applyImport() {
+    if (!pendingImport) {
+      return;
+    }
+
+    if (await settingsManager.save(pendingImport)) {
+      closeImportPreview();
+      await loadSettings();
+      showStatus("Settings imported", "success");
+      console.log("[InstaReelAutoScroll] Settings imported");
+    } else {
+      showStatus("Failed to import settings", "error");
+    }
+  }
+
   function showStatus(message, type) {
     elements.statusMessage.textContent = message;
     elements.statusMessage.className = `status-message show ${type}`;
@@ -92,41 +1099,23 @@ document.addEventListener("DOMContentLoaded", () => {
 
   elements.saveBtn.addEventListener("click", saveSettings);
 
-  elements.resetBtn.addEventListener("click", () => {
-    if (confirm("Are you sure you want to reset all settings to defaults?")) {
-      resetSettings();
+  elements.exportBtn.addEventListener("click", exportSettings);
+  elements.importBtn.addEventListener("click", () => elements.importFile.click());
+  elements.importFile.addEventListener("change", () => {
+    if (elements.importFile.files.length > 0) {
+      previewImport(elements.importFile.files[0]);
     }
   });
+  elements.applyImportBtn.addEventListener("click", applyImport);
+  elements.cancelImportBtn.addEventListener("click", closeImportPreview);
 
-  elements.scrollFactor.addEventListener("input", (e) => {
-    elements.scrollFactorValue.textContent = parseFloat(e.target.value).toFixed(2);
-  });
-
-  elements.delayAfterEnd.addEventListener("change", (e) => {
-    let value = parseInt(e.target.value, 10) || 0;
-    value = Math.max(0, Math.min(5000, value));
-    e.target.value = value;
-  });
-
-  elements.randomExtraDelay.addEventListener("change", (e) => {
-    let value = parseInt(e.target.value, 10) || 0;
-    value = Math.max(0, Math.min(1000, value));
-    e.target.value = value;
-  });
-
-  elements.retryAttempts.addEventListener("change", (e) => {
-    let value = parseInt(e.target.value, 10) || 1;
-    value = Math.max(1, Math.min(5, value));
-    e.target.value = value;
-  });
-
-  document.querySelectorAll("input[type='number']").forEach((input) => {
-    input.addEventListener("keypress", (e) => {
-      if (e.key === "Enter") {
-        saveSettings();
-      }
-    });
+  elements.resetBtn.addEventListener("click", () => {
+    if (confirm("Reset all settings to defaults? Your profiles and skip lists are kept.")) {
+      resetSettings();
+    }
   });
 
+  renderSections();
+  renderShortcuts();
   loadSettings();
 });
@@ -1,3 +1,6 @@
+import { settingsManager } from "./src/storage/SettingsManager.js";
+import { SITE_NAMES } from "./src/storage/defaults.js";
+
 document.addEventListener("DOMContentLoaded", () => {
   const api = window.webextApi;
   const enableToggle = document.getElementById("enableToggle");
@@ -6,8 +9,20 @@ document.addEventListener("DOMContentLoaded", () => {
   const lastScroll = document.getElementById("lastScroll");
   const videoDuration = document.getElementById("videoDuration");
   const videoCurrentTime = document.getElementById("videoCurrentTime");
+  const videoLoops = document.getElementById("videoLoops");
+  const videoAuthor = document.getElementById("videoAuthor");
+  const videoCaption = document.getElementById("videoCaption");
+  const videoProgress = document.getElementById("videoProgress");
+  const prevVideoBtn = document.getElementById("prevVideoBtn");
+  const replayBtn = document.getElementById("replayBtn");
+  const nextVideoBtn = document.getElementById("nextVideoBtn");
   const testScrollBtn = document.getElementById("testScrollBtn");
   const resetStatsBtn = document.getElementById("resetStatsBtn");
+  const profileSelect = document.getElementById("profileSelect");
+  const sessionMinutes = document.getElementById("sessionMinutes");
+  const sessionVideos = document.getElementById("sessionVideos");
+  const sessionBtn = document.getElementById("sessionBtn");
+  const sessionStatus = document.getElementById("sessionStatus");
   const popupContainer = document.querySelector(".popup-container");
 
   if (!api || !api.isSupported) {
@@ -16,15 +31,33 @@ document.addEventListener("DOMContentLoaded", () => {
     return;
   }
 
-  function isInstagramTab(tab) {
-    return Boolean(tab && tab.url && tab.url.includes("instagram.com"));
-  }
+  // Longer captions are cut to this many characters in the "Now playing" card
+  const CAPTION_LENGTH = 100;
+
+  // Tab whose stats are shown; updates sent by other tabs are ignored
+  let activeTabId = null;
+  // Shared state from the background worker, or null if it can't be reached
+  let globalState = null;
 
-  function isReelsTab(tab) {
+  const SUPPORTED_HOSTS = [
+    "instagram.com",
+    "youtube.com",
+    "tiktok.com",
+    "x.com",
+    "twitter.com",
+    "facebook.com",
+  ];
+
+  function isSupportedSiteTab(tab) {
     if (!tab || !tab.url) {
       return false;
     }
-    return tab.url.includes("instagram.com/reel") || tab.url.includes("instagram.com/reels");
+    try {
+      const host = new URL(tab.url).hostname;
+      return SUPPORTED_HOSTS.some((supported) => host === supported || host.endsWith(`.${supported}`));
+    } catch (error) {
+      return false;
+    }
   }
 
   async function getActiveTab() {
@@ -32,19 +65,37 @@ document.addEventListener("DOMContentLoaded", () => {
     return tabs && tabs.length > 0 ? tabs[0] : null;
   }
 
-  async function loadState() {
+  async function getGlobalState() {
     try {
-      const result = await api.storageGet({ enabled: true });
-      enableToggle.checked = result.enabled;
-      updateStatusUI(result.enabled);
+      return (await api.runtimeSendMessage({ action: "getGlobalState" })) || null;
     } catch (error) {
-      console.error("[InstaReelAutoScroll] Failed to read state:", error);
-      updateStatusUI(false);
+      console.log("Could not reach the background worker:", error.message || error);
+      return null;
     }
+  }
+
+  async function loadState() {
+    const settings = await settingsManager.initialize();
+    enableToggle.checked = settings.globalEnabled;
+    updateStatusUI(settings.globalEnabled);
+    renderProfiles();
 
     await getStatsFromContentScript();
   }
 
+  function renderProfiles() {
+    const profiles = settingsManager.getProfiles();
+    const options = Object.entries(profiles).map(([id, profile]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = profile.name || id;
+      return option;
+    });
+
+    profileSelect.replaceChildren(profileSelect.options[0], ...options);
+    profileSelect.value = settingsManager.getSettings().activeProfile || "";
+  }
+
   function updateStatusUI(enabled) {
     if (enabled) {
       statusText.textContent = "Enabled";
@@ -63,44 +114,43 @@ document.addEventListener("DOMContentLoaded", () => {
       tab = await getActiveTab();
     } catch (error) {
       console.error("[InstaReelAutoScroll] Failed to query tab:", error);
-      displayNotOnInstagram();
+      displayNotOnSupportedSite();
       return;
     }
+    activeTabId = tab ? tab.id : null;
+    globalState = await getGlobalState();
 
-    if (!isInstagramTab(tab)) {
-      displayNotOnInstagram();
+    if (!isSupportedSiteTab(tab)) {
+      displayNotOnSupportedSite();
       return;
     }
 
-    const reelsPage = isReelsTab(tab);
-
     try {
       const response = await api.tabsSendMessage(tab.id, { action: "getStats" });
       if (!response) {
-        if (reelsPage) {
-          displayNoConnection();
-        } else {
-          displayNotOnReels();
-        }
+        displayNoConnection();
         return;
       }
 
       updateStatsUI(response);
-      if (reelsPage) {
+      updateSessionUI(response.session);
+      if (response.isSupported && enableToggle.checked && response.activeTab === false) {
+        const activeSite = globalState && globalState.activeSite;
+        statusText.textContent = activeSite
+          ? `Auto-scrolling on ${SITE_NAMES[activeSite] || activeSite} in another tab`
+          : "Auto-scrolling in another tab";
+        statusText.style.color = "#87CEEB";
+      } else if (response.isSupported) {
         const enabled = enableToggle.checked;
-        statusText.textContent = enabled ? "Active on Reels" : "Disabled";
+        statusText.textContent = enabled ? "Active on this feed" : "Disabled";
         statusText.style.color = enabled ? "#90EE90" : "#FFB6C1";
       } else {
-        displayNotOnReels();
+        displayNotOnFeed();
       }
     } catch (error) {
       console.log("Could not connect to content script:", error.message || error);
-      if (reelsPage) {
-        displayNoConnection();
-        await tryInjectContentScript(tab.id);
-      } else {
-        displayNotOnReels();
-      }
+      displayNoConnection();
+      await tryInjectContentScript(tab.id);
     }
   }
 
@@ -117,12 +167,14 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function displayNotOnReels() {
+  function displayNotOnFeed() {
     scrollCount.textContent = "0";
     lastScroll.textContent = "--";
     videoDuration.textContent = "--";
     videoCurrentTime.textContent = "--";
-    statusText.textContent = "Navigate to Instagram Reels";
+    videoLoops.textContent = "--";
+    resetNowPlaying();
+    statusText.textContent = "Open a Reels, Shorts or video feed";
     statusText.style.color = "#87CEEB";
   }
 
@@ -136,18 +188,84 @@ document.addEventListener("DOMContentLoaded", () => {
       lastScroll.textContent = "--";
     }
 
-    if (stats.lastVideoInfo) {
-      const duration = stats.lastVideoInfo.duration;
-      const current = stats.lastVideoInfo.currentTime;
+    updateNowPlaying(stats.videoMetadata);
+    updateVideoProgress(stats.lastVideoInfo);
+  }
+
+  function updateVideoProgress(videoInfo) {
+    const duration = videoInfo?.duration;
+    const hasDuration = duration && Number.isFinite(duration);
 
-      if (duration && Number.isFinite(duration)) {
-        videoDuration.textContent = formatTime(duration);
-        videoCurrentTime.textContent = formatTime(current);
-      } else {
-        videoDuration.textContent = "--";
-        videoCurrentTime.textContent = "--";
-      }
+    if (videoInfo) {
+      videoDuration.textContent = hasDuration ? formatTime(duration) : "--";
+      videoCurrentTime.textContent = hasDuration ? formatTime(videoInfo.currentTime) : "--";
+      videoLoops.textContent = formatLoops(videoInfo);
+    }
+
+    const progress = hasDuration ? Math.min(videoInfo.currentTime / duration, 1) : 0;
+    videoProgress.style.width = `${(progress * 100).toFixed(1)}%`;
+  }
+
+  function updateNowPlaying(metadata) {
+    if (!metadata) {
+      videoAuthor.textContent = "--";
+      videoCaption.textContent = "";
+      videoCaption.hidden = true;
+      return;
+    }
+
+    videoAuthor.textContent = metadata.author ? `@${metadata.author}` : "Unknown creator";
+    videoCaption.textContent = truncate(metadata.caption || "", CAPTION_LENGTH);
+    videoCaption.title = metadata.caption || "";
+    videoCaption.hidden = !metadata.caption;
+  }
+
+  function resetNowPlaying() {
+    updateNowPlaying(null);
+    videoProgress.style.width = "0";
+  }
+
+  function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+  }
+
+  function formatLoops(videoInfo) {
+    // loopCount counts finished plays, so the one in progress is the next
+    const play = (videoInfo.loopCount || 0) + 1;
+    return videoInfo.loopTarget > 1 ? `${play} of ${videoInfo.loopTarget}` : String(play);
+  }
+
+  function updateSessionUI(session) {
+    const running = Boolean(session && session.active);
+    sessionBtn.textContent = running ? "Stop" : "Start";
+    sessionBtn.classList.toggle("stop", running);
+    sessionMinutes.disabled = running;
+    sessionVideos.disabled = running;
+
+    if (!session || (!session.active && !session.endReason)) {
+      const otherSession = globalState && globalState.session;
+      sessionStatus.textContent = otherSession && otherSession.active && otherSession.tabId !== activeTabId
+        ? "A session is running in another tab"
+        : "Stops auto-scroll after a time or video count (0 = no limit)";
+      return;
+    }
+
+    if (session.endReason) {
+      sessionStatus.textContent = `Session complete: ${session.videosScrolled} videos in ${formatTime(session.elapsedMs / 1000)}. Auto-scroll paused.`;
+      return;
+    }
+
+    const parts = [];
+    if (session.remainingMs !== null) {
+      parts.push(`${formatTime(session.remainingMs / 1000)} left`);
+    }
+    if (session.remainingVideos !== null) {
+      parts.push(`${session.remainingVideos} videos left`);
+    }
+    if (parts.length === 0) {
+      parts.push(`${session.videosScrolled} videos so far`);
     }
+    sessionStatus.textContent = parts.join(" · ");
   }
 
   function displayNoConnection() {
@@ -155,16 +273,18 @@ document.addEventListener("DOMContentLoaded", () => {
     lastScroll.textContent = "--";
     videoDuration.textContent = "--";
     videoCurrentTime.textContent = "--";
+    resetNowPlaying();
     statusText.textContent = "Not connected to page";
     statusText.style.color = "#FFD700";
   }
 
-  function displayNotOnInstagram() {
+  function displayNotOnSupportedSite() {
     scrollCount.textContent = "--";
     lastScroll.textContent = "--";
     videoDuration.textContent = "--";
     videoCurrentTime.textContent = "--";
-    statusText.textContent = "Open Instagram Reels to use";
+    resetNowPlaying();
+    statusText.textContent = "Open a supported site to use";
     statusText.style.color = "#87CEEB";
   }
 
@@ -197,16 +317,25 @@ document.addEventListener("DOMContentLoaded", () => {
 
   enableToggle.addEventListener("change", async () => {
     const enabled = enableToggle.checked;
-    try {
-      await api.storageSet({ enabled });
+    if (await settingsManager.save({ globalEnabled: enabled })) {
       updateStatusUI(enabled);
       console.log("[InstaReelAutoScroll] Extension", enabled ? "enabled" : "disabled");
-    } catch (error) {
-      console.error("[InstaReelAutoScroll] Failed to toggle extension:", error);
+    } else {
+      console.error("[InstaReelAutoScroll] Failed to toggle extension");
       enableToggle.checked = !enabled;
     }
   });
 
+  profileSelect.addEventListener("change", async () => {
+    const id = profileSelect.value || null;
+    if (await settingsManager.setActiveProfile(id)) {
+      console.log("[InstaReelAutoScroll] Profile:", id || "default");
+    } else {
+      console.error("[InstaReelAutoScroll] Failed to switch profile");
+      renderProfiles();
+    }
+  });
+
   testScrollBtn.addEventListener("click", async () => {
     let tab;
     try {
@@ -216,8 +345,8 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    if (!isReelsTab(tab)) {
-      alert("Please navigate to Instagram Reels first!");
+    if (!isSupportedSiteTab(tab)) {
+      alert("Please open a supported video feed first!");
       return;
     }
 
@@ -240,6 +369,67 @@ document.addEventListener("DOMContentLoaded", () => {
     }, 500);
   });
 
+  sessionBtn.addEventListener("click", async () => {
+    let tab;
+    try {
+      tab = await getActiveTab();
+    } catch (error) {
+      console.error("[InstaReelAutoScroll] Failed to query tab:", error);
+      return;
+    }
+
+    if (!isSupportedSiteTab(tab)) {
+      alert("Please open a supported video feed first!");
+      return;
+    }
+
+    const message = sessionBtn.classList.contains("stop")
+      ? { action: "stopSession" }
+      : {
+        action: "startSession",
+        minutes: Number(sessionMinutes.value) || 0,
+        videos: Number(sessionVideos.value) || 0,
+      };
+
+    sessionBtn.disabled = true;
+    try {
+      const response = await api.tabsSendMessage(tab.id, message);
+      if (response) {
+        updateSessionUI(response);
+      }
+    } catch (error) {
+      console.log("Error:", error.message || error);
+    }
+    sessionBtn.disabled = false;
+  });
+
+  async function sendPlaybackAction(action, button) {
+    let tab;
+    try {
+      tab = await getActiveTab();
+    } catch (error) {
+      console.error("[InstaReelAutoScroll] Failed to query tab:", error);
+      return;
+    }
+
+    if (!isSupportedSiteTab(tab)) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      await api.tabsSendMessage(tab.id, { action });
+      await getStatsFromContentScript();
+    } catch (error) {
+      console.log("Error:", error.message || error);
+    }
+    button.disabled = false;
+  }
+
+  prevVideoBtn.addEventListener("click", () => sendPlaybackAction("scrollPrevious", prevVideoBtn));
+  replayBtn.addEventListener("click", () => sendPlaybackAction("replay", replayBtn));
+  nextVideoBtn.addEventListener("click", () => sendPlaybackAction("scrollNext", nextVideoBtn));
+
   resetStatsBtn.addEventListener("click", async () => {
     let tab;
     try {
@@ -251,7 +441,7 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    if (isReelsTab(tab)) {
+    if (isSupportedSiteTab(tab)) {
       try {
         const response = await api.tabsSendMessage(tab.id, { action: "resetStats" });
         if (response && response.success) {
@@ -268,9 +458,16 @@ document.addEventListener("DOMContentLoaded", () => {
     lastScroll.textContent = "--";
   });
 
-  api.onRuntimeMessage((message) => {
-    if (message.action === "statsUpdate" && message.data) {
+  // Every tab's content script broadcasts updates; only show the active tab's
+  api.onRuntimeMessage((message, sender) => {
+    if (!message.data || !sender.tab || sender.tab.id !== activeTabId) {
+      return;
+    }
+    if (message.action === "statsUpdate") {
       updateStatsUI(message.data);
+      updateSessionUI(message.data.session);
+    } else if (message.action === "progressUpdate") {
+      updateVideoProgress(message.data.lastVideoInfo);
     }
   });
 
@@ -4,6 +4,26 @@
 
 import { logger } from '../core/Logger.js';
 
+const COUNT_SUFFIXES = { K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * Parse an abbreviated count such as "1.2K", "3,456" or "2M likes"
+ * @returns {number|null}
+ */
+function parseCount(text) {
+    const match = /(\d[\d.,]*)\s*([KMB])?\b/i.exec(text || '');
+    if (!match) return null;
+
+    const [, digits, suffix] = match;
+    // "1,234" and "1.234" group thousands; "1,2K" has a decimal comma
+    const number = !suffix && /[.,]\d{3}$/.test(digits)
+        ? digits.replace(/[.,]/g, '')
+        : digits.replace(',', '.');
+
+    const value = parseFloat(number) * (suffix ? COUNT_SUFFIXES[suffix.toUpperCase()] : 1);
+    return Number.isFinite(value) ? Math.round(value) : null;
+}
+
 class BaseAdapter {
     // Static properties - must be overridden by subclasses
     static siteName = 'base';
@@ -44,6 +64,12 @@ class BaseAdapter {
         this.name = this.constructor.siteName;
         this.initialized = false;
         this.videoSelector = 'video';
+        // Tried in order inside the video's container by getCaption() and getLikes()
+        this.captionSelectors = [];
+        this.likeCountSelectors = [];
+        // Ad badges and the exact text of ad labels, checked by isSponsored()
+        this.sponsoredSelectors = [];
+        this.sponsoredLabels = ['Sponsored'];
     }
 
     /**
@@ -144,6 +170,234 @@ class BaseAdapter {
         return video?.parentElement;
     }
 
+    /**
+     * Get the handle of the creator who posted a video
+     * @param {HTMLVideoElement} video
+     * @returns {string|null}
+     */
+    getCreator(video) {
+        return this._findContainerLink(video, url => this.parseCreatorLink(url))?.value ?? null;
+    }
+
+    /**
+     * Extract a creator handle from a profile link
+     * @param {URL} url
+     * @returns {string|null}
+     */
+    parseCreatorLink(url) {
+        // Override in subclass
+        return null;
+    }
+
+    /**
+     * Get the platform's id and link for a video, from a permalink in its
+     * container or else from the page URL (single-video pages and vertical feeds)
+     * @param {HTMLVideoElement} video
+     * @returns {{id: string, url: string}|null}
+     */
+    getVideoLink(video) {
+        const link = this._findContainerLink(video, url => this.parseVideoLink(url));
+        if (link) return { id: link.value, url: link.url.href };
+
+        const pageUrl = new URL(window.location.href);
+        const id = this.parseVideoLink(pageUrl);
+        return id ? { id, url: pageUrl.href } : null;
+    }
+
+    /**
+     * Extract a video id from a permalink
+     * @param {URL} url
+     * @returns {string|null}
+     */
+    parseVideoLink(url) {
+        // Override in subclass
+        return null;
+    }
+
+    /**
+     * Parse the first link in a video's container that a parser accepts
+     * @param {HTMLVideoElement} video
+     * @param {Function} parse - Called with a URL, returns a value or null
+     * @returns {{value: string, url: URL}|null}
+     */
+    _findContainerLink(video, parse) {
+        const container = this.getVideoContainer(video);
+        if (!container) return null;
+
+        for (const link of container.querySelectorAll('a[href]')) {
+            let url;
+            try {
+                url = new URL(link.href);
+            } catch (error) {
+                continue;
+            }
+
+            const value = parse(url);
+            if (value) return { value, url };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the caption or title text of a video
+     * @param {HTMLVideoElement} video
+     * @returns {string|null}
+     */
+    getCaption(video) {
+        const container = this.getVideoContainer(video);
+        if (!container) return null;
+
+        for (const selector of this.captionSelectors) {
+            const text = container.querySelector(selector)?.textContent.trim();
+            if (text) return text;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the hashtags of a video, lower case and without the "#"
+     * @param {HTMLVideoElement} video
+     * @param {string|null} caption - Already extracted caption, if any
+     * @returns {string[]}
+     */
+    getHashtags(video, caption = this.getCaption(video)) {
+        const tags = new Set();
+
+        for (const match of (caption || '').matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+            tags.add(match[1].toLowerCase());
+        }
+
+        // Hashtags may be links outside the caption element
+        const container = this.getVideoContainer(video);
+        for (const link of container?.querySelectorAll('a[href]') || []) {
+            const match = /^#([\p{L}\p{N}_]+)$/u.exec(link.textContent.trim());
+            if (match) tags.add(match[1].toLowerCase());
+        }
+
+        return [...tags];
+    }
+
+    /**
+     * Get the like count shown next to a video
+     * @param {HTMLVideoElement} video
+     * @returns {number|null}
+     */
+    getLikes(video) {
+        const container = this.getVideoContainer(video);
+        if (!container) return null;
+
+        for (const selector of this.likeCountSelectors) {
+            const likes = parseCount(container.querySelector(selector)?.textContent);
+            if (likes !== null) return likes;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a video is a paid ad or sponsored post
+     * @param {HTMLVideoElement} video
+     * @returns {boolean}
+     */
+    isSponsored(video) {
+        const container = this.getVideoContainer(video);
+        if (!container) return false;
+
+        if (this.sponsoredSelectors.some(selector => container.querySelector(selector))) {
+            return true;
+        }
+
+        // Labels are short text nodes of their own, so compare whole strings only
+        const labels = this.sponsoredLabels.map(label => label.toLowerCase());
+        for (const element of container.querySelectorAll('span, a, div, p')) {
+            if (element.childElementCount > 0) continue;
+            if (labels.includes(element.textContent.trim().toLowerCase())) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get what is known about a video from the page around it
+     * @param {HTMLVideoElement} video
+     * @returns {{id: string|null, url: string|null, author: string|null, caption: string|null,
+     *           hashtags: string[], likes: number|null, isSponsored: boolean}}
+     */
+    getVideoMetadata(video) {
+        const link = this.getVideoLink(video);
+        const caption = this.getCaption(video);
+
+        return {
+            id: link?.id ?? null,
+            url: link?.url ?? null,
+            author: this.getCreator(video),
+            caption,
+            hashtags: this.getHashtags(video, caption),
+            likes: this.getLikes(video),
+            isSponsored: this.isSponsored(video)
+        };
+    }
+
+    /**
+     * Restart a video from the beginning
+     * @param {HTMLVideoElement} video
+     * @param {ScrollManager} scrollManager - For simulating the site's own shortcuts
+     * @returns {boolean} Whether the action was performed
+     */
+    replay(video, scrollManager) {
+        video.currentTime = 0;
+        if (video.paused) {
+            video.play().catch(error => logger.debug('Replay: play() rejected:', error.message));
+        }
+        return true;
+    }
+
+    /**
+     * Mute or unmute a video
+     * @param {HTMLVideoElement} video
+     * @param {ScrollManager} scrollManager
+     * @returns {boolean} Whether the action was performed
+     */
+    toggleMute(video, scrollManager) {
+        video.muted = !video.muted;
+        return true;
+    }
+
+    /**
+     * Set a video's playback speed
+     * @param {HTMLVideoElement} video
+     * @param {number} rate
+     * @returns {boolean} Whether the action was performed
+     */
+    setPlaybackRate(video, rate) {
+        video.playbackRate = rate;
+        return true;
+    }
+
+    /**
+     * Like a video with the platform's own like control
+     * @param {HTMLVideoElement} video
+     * @param {ScrollManager} scrollManager
+     * @returns {boolean} Whether the action was performed
+     */
+    like(video, scrollManager) {
+        // Override in subclass
+        return false;
+    }
+
+    /**
+     * Find a button in a video's container, matching the button itself or an icon inside it
+     * @param {HTMLVideoElement} video
+     * @param {string} selector
+     * @returns {HTMLElement|null}
+     */
+    _findContainerButton(video, selector) {
+        const element = this.getVideoContainer(video)?.querySelector(selector);
+        return element?.closest('button, [role="button"]') || element || null;
+    }
+
     /**
      * Get scroll methods for this platform
      * Returns array of { name, execute } objects
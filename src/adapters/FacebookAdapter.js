@@ -5,6 +5,9 @@
 import BaseAdapter from './BaseAdapter.js';
 import { logger } from '../core/Logger.js';
 
+// Top-level paths that look like usernames but aren't profiles
+const RESERVED_PATHS = ['reels', 'watch', 'groups', 'pages', 'friends', 'gaming', 'marketplace', 'events', 'messages', 'notifications', 'bookmarks', 'photo', 'photos', 'videos', 'stories'];
+
 class FacebookAdapter extends BaseAdapter {
     static siteName = 'facebook';
     static displayName = 'Facebook';
@@ -25,6 +28,15 @@ class FacebookAdapter extends BaseAdapter {
     constructor(controller) {
         super(controller);
         this.videoSelector = 'video';
+        this.captionSelectors = [
+            'div[data-ad-preview="message"]',
+            'span[dir="auto"]'
+        ];
+        // Reel like counts have no stable markup, so likes stay unknown
+        this.sponsoredSelectors = [
+            'a[href*="/ads/about"]'
+        ];
+        this.sponsoredLabels = ['Sponsored'];
     }
 
     onInitialize() {
@@ -70,6 +82,32 @@ class FacebookAdapter extends BaseAdapter {
         return null;
     }
 
+    parseCreatorLink(url) {
+        // Numeric profiles use profile.php?id=, others /<username>
+        if (url.pathname === '/profile.php') {
+            return url.searchParams.get('id');
+        }
+
+        const match = url.pathname.match(/^\/([A-Za-z0-9.]{5,50})\/?$/);
+        if (!match || RESERVED_PATHS.includes(match[1].toLowerCase())) return null;
+        return match[1];
+    }
+
+    parseVideoLink(url) {
+        // Reels are /reel/<id>; other videos /watch/?v=<id> or /<page>/videos/<id>
+        const match = url.pathname.match(/^\/(?:reel|[^/]+\/videos)\/(\d+)/);
+        if (match) return match[1];
+        return url.pathname.startsWith('/watch') ? url.searchParams.get('v') : null;
+    }
+
+    like(video, scrollManager) {
+        // Liked reels label the button "Remove Like"
+        if (this._findContainerButton(video, '[aria-label="Remove Like"]')) return true;
+
+        const likeButton = this._findContainerButton(video, '[aria-label="Like"]');
+        return likeButton ? scrollManager.clickElement(likeButton) : false;
+    }
+
     getScrollMethods() {
         return [
             {
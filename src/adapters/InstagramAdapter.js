@@ -5,6 +5,9 @@
 import BaseAdapter from './BaseAdapter.js';
 import { logger } from '../core/Logger.js';
 
+// Top-level paths that look like usernames but aren't profiles
+const RESERVED_PATHS = ['reels', 'explore', 'direct', 'accounts', 'stories', 'p', 'reel', 'about', 'legal'];
+
 class InstagramAdapter extends BaseAdapter {
     static siteName = 'instagram';
     static displayName = 'Instagram';
@@ -25,6 +28,17 @@ class InstagramAdapter extends BaseAdapter {
     constructor(controller) {
         super(controller);
         this.videoSelector = 'video';
+        this.captionSelectors = [
+            'h1',
+            'span[dir="auto"]'
+        ];
+        this.likeCountSelectors = [
+            'a[href*="/liked_by/"]'
+        ];
+        this.sponsoredSelectors = [
+            'a[href*="/ads/"]'
+        ];
+        this.sponsoredLabels = ['Sponsored', 'Ad'];
         this.scrollContainerSelectors = [
             'div[style*="overflow"][style*="auto"]',
             'div[style*="overflow"][style*="scroll"]',
@@ -81,6 +95,37 @@ class InstagramAdapter extends BaseAdapter {
         return null;
     }
 
+    parseCreatorLink(url) {
+        // Profile links are /<username>/; skip app routes with the same shape
+        const match = url.pathname.match(/^\/([A-Za-z0-9._]{1,30})\/?$/);
+        if (!match || RESERVED_PATHS.includes(match[1].toLowerCase())) return null;
+        return match[1];
+    }
+
+    parseVideoLink(url) {
+        // Reels and posts are /reel/<shortcode>/ or /p/<shortcode>/; the feed URL is /reels/<shortcode>/
+        const match = url.pathname.match(/^\/(?:reels?|p)\/([A-Za-z0-9_-]+)\/?$/);
+        return match ? match[1] : null;
+    }
+
+    like(video) {
+        // Double-clicking a reel likes it and, unlike the heart button, never unlikes.
+        // The heart only updates after the page re-renders, so the like is not verified.
+        const rect = video.getBoundingClientRect();
+        const target = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2) || video;
+        target.dispatchEvent(new MouseEvent('dblclick', { bubbles: true, cancelable: true, view: window }));
+        return true;
+    }
+
+    toggleMute(video, scrollManager) {
+        // Instagram keeps its own audio state and re-applies it, so use its toggle
+        const audioButton = this._findContainerButton(video, '[aria-label="Toggle audio"], svg[aria-label*="Audio"]');
+        if (audioButton) {
+            return scrollManager.clickElement(audioButton);
+        }
+        return super.toggleMute(video, scrollManager);
+    }
+
     getScrollMethods() {
         return [
             {
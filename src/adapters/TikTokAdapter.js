@@ -26,6 +26,19 @@ class TikTokAdapter extends BaseAdapter {
     constructor(controller) {
         super(controller);
         this.videoSelector = 'video';
+        this.captionSelectors = [
+            '[data-e2e="video-desc"]',
+            '[data-e2e="browse-video-desc"]'
+        ];
+        this.likeCountSelectors = [
+            '[data-e2e="like-count"]',
+            '[data-e2e="browse-like-count"]'
+        ];
+        this.sponsoredSelectors = [
+            '[data-e2e="ad-tag"]',
+            '[class*="DivAdTag"]'
+        ];
+        this.sponsoredLabels = ['Sponsored', 'Ad'];
     }
 
     onInitialize() {
@@ -79,6 +92,28 @@ class TikTokAdapter extends BaseAdapter {
         return null;
     }
 
+    parseCreatorLink(url) {
+        // Profile and video links both start with /@username
+        const match = url.pathname.match(/^\/@([^/]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    parseVideoLink(url) {
+        // Video links are /@username/video/<item id>
+        const match = url.pathname.match(/^\/@[^/]+\/video\/(\d+)/);
+        return match ? match[1] : null;
+    }
+
+    like(video, scrollManager) {
+        const likeButton = this._findContainerButton(video, '[data-e2e="like-icon"], [data-e2e="browse-like-icon"]');
+        // The button toggles, and so does the 'l' shortcut, so there is no blind fallback
+        if (!likeButton) return false;
+
+        // Already liked; clicking again would remove the like
+        if (likeButton.getAttribute('aria-pressed') === 'true') return true;
+        return scrollManager.clickElement(likeButton);
+    }
+
     getScrollMethods() {
         return [
             {
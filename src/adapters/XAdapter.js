@@ -5,6 +5,9 @@
 import BaseAdapter from './BaseAdapter.js';
 import { logger } from '../core/Logger.js';
 
+// Top-level paths that look like handles but aren't profiles
+const RESERVED_PATHS = ['home', 'explore', 'search', 'notifications', 'messages', 'settings', 'compose', 'i', 'hashtag', 'tos', 'privacy'];
+
 class XAdapter extends BaseAdapter {
     static siteName = 'x';
     static displayName = 'X (Twitter)';
@@ -26,6 +29,15 @@ class XAdapter extends BaseAdapter {
     constructor(controller) {
         super(controller);
         this.videoSelector = 'video';
+        this.captionSelectors = [
+            '[data-testid="tweetText"]'
+        ];
+        this.likeCountSelectors = [
+            '[data-testid="like"] [data-testid="app-text-transition-container"]',
+            '[data-testid="unlike"] [data-testid="app-text-transition-container"]'
+        ];
+        // Promoted posts carry an "Ad" label in the post header
+        this.sponsoredLabels = ['Ad', 'Promoted'];
     }
 
     onInitialize() {
@@ -76,6 +88,27 @@ class XAdapter extends BaseAdapter {
         return null;
     }
 
+    parseCreatorLink(url) {
+        // Profile links are /<handle>; skip app routes with the same shape
+        const match = url.pathname.match(/^\/([A-Za-z0-9_]{1,15})\/?$/);
+        if (!match || RESERVED_PATHS.includes(match[1].toLowerCase())) return null;
+        return match[1];
+    }
+
+    parseVideoLink(url) {
+        // Post links are /<handle>/status/<post id>, optionally followed by /video/1 etc.
+        const match = url.pathname.match(/^\/[A-Za-z0-9_]{1,15}\/status\/(\d+)/);
+        return match ? match[1] : null;
+    }
+
+    like(video, scrollManager) {
+        // Liked posts show an "unlike" button instead
+        if (this._findContainerButton(video, '[data-testid="unlike"]')) return true;
+
+        const likeButton = this._findContainerButton(video, '[data-testid="like"]');
+        return likeButton ? scrollManager.clickElement(likeButton) : false;
+    }
+
     getScrollMethods() {
         return [
             {
@@ -25,6 +25,22 @@ class YouTubeAdapter extends BaseAdapter {
     constructor(controller) {
         super(controller);
         this.videoSelector = 'video';
+        this.captionSelectors = [
+            'h2.title',
+            '#title',
+            'yt-shorts-video-title-view-model'
+        ];
+        this.likeCountSelectors = [
+            'like-button-view-model .yt-spec-button-shape-next__button-text-content',
+            '#like-button #text'
+        ];
+        this.sponsoredSelectors = [
+            'ytd-ad-slot-renderer',
+            'ad-badge-view-model',
+            '.ytp-ad-badge',
+            '[class*="ad-badge"]'
+        ];
+        this.sponsoredLabels = ['Sponsored', 'Ad'];
     }
 
     onInitialize() {
@@ -71,6 +87,38 @@ class YouTubeAdapter extends BaseAdapter {
         return null;
     }
 
+    parseCreatorLink(url) {
+        // Channel links are /@handle
+        const match = url.pathname.match(/^\/@([^/]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    parseVideoLink(url) {
+        // Shorts are /shorts/<id>; regular videos /watch?v=<id>
+        const match = url.pathname.match(/^\/shorts\/([A-Za-z0-9_-]+)/);
+        if (match) return match[1];
+        return url.pathname === '/watch' ? url.searchParams.get('v') : null;
+    }
+
+    like(video, scrollManager) {
+        const likeButton = this._findContainerButton(video, '#like-button button, like-button-view-model button');
+        if (likeButton) {
+            // Already liked; clicking again would remove the like
+            if (likeButton.getAttribute('aria-pressed') === 'true') return true;
+            return scrollManager.clickElement(likeButton);
+        }
+
+        // The player's 'l' shortcut seeks forward rather than liking, so there is no fallback
+        return false;
+    }
+
+    toggleMute(video, scrollManager) {
+        // The player tracks mute itself; its 'm' shortcut keeps the volume control in sync
+        const wasMuted = video.muted;
+        scrollManager.simulateKeyDown('m', video);
+        return video.muted !== wasMuted;
+    }
+
     getScrollMethods() {
         return [
             {
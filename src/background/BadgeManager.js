@@ -0,0 +1,69 @@
+/**
+ * Badge Manager - Shows each tab's status and session scroll count on the toolbar icon
+ * Driven by the statsUpdate messages content scripts send from Controller._sendStatsUpdate()
+ */
+
+import { logger } from '../core/Logger.js';
+
+const BADGE_COLORS = {
+    active: '#4CAF50',
+    paused: '#FF9800',
+    unsupported: '#9E9E9E'
+};
+
+class BadgeManager {
+    /**
+     * Register listeners. Must run in the worker's first turn.
+     */
+    initialize() {
+        if (!chrome.action) {
+            logger.warn('BadgeManager: action API not available');
+            return;
+        }
+
+        chrome.runtime.onMessage.addListener((message, sender) => {
+            if (message.action === 'statsUpdate' && message.data && sender.tab?.id !== undefined) {
+                this.update(sender.tab.id, message.data);
+            }
+            return false;
+        });
+
+        logger.info('BadgeManager initialized');
+    }
+
+    /**
+     * Update one tab's badge from statsUpdate data
+     */
+    update(tabId, data) {
+        const status = this._getStatus(data);
+        const text = this._formatCount(data.scrollCount);
+
+        Promise.all([
+            chrome.action.setBadgeText({ tabId, text }),
+            chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[status] })
+        ]).catch((error) => {
+            // The tab may have closed in the meantime
+            logger.debug(`BadgeManager: Failed to update tab ${tabId}:`, error.message);
+        });
+    }
+
+    /**
+     * Status that picks the badge colour
+     */
+    _getStatus(data) {
+        if (!data.isSupported) return 'unsupported';
+        if (data.paused || data.activeTab === false) return 'paused';
+        return 'active';
+    }
+
+    /**
+     * Badge text fits about four characters
+     */
+    _formatCount(count) {
+        const value = Number(count) || 0;
+        return value > 999 ? '999+' : String(value);
+    }
+}
+
+export const badgeManager = new BadgeManager();
+export default BadgeManager;
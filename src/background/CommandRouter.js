@@ -0,0 +1,88 @@
+/**
+ * Command Router - Handles browser-level keyboard shortcuts from manifest `commands`
+ * Tab actions go to the focused feed tab's Controller, or to the tab that is
+ * auto-scrolling when the focused tab has no feed
+ */
+
+import { logger } from '../core/Logger.js';
+import { settingsManager } from '../storage/SettingsManager.js';
+import { tabCoordinator } from './TabCoordinator.js';
+
+// Command name in manifest.json -> Controller message action
+const TAB_COMMANDS = {
+    'toggle-pause': 'togglePause',
+    'scroll-next': 'scrollNext',
+    'scroll-prev': 'scrollPrevious'
+};
+
+class CommandRouter {
+    /**
+     * Register listeners. Must run in the worker's first turn.
+     */
+    initialize() {
+        if (!chrome.commands?.onCommand) {
+            logger.warn('CommandRouter: commands API not available');
+            return;
+        }
+
+        chrome.commands.onCommand.addListener((command, tab) => {
+            this._handleCommand(command, tab).catch((error) => {
+                logger.error(`Command "${command}" failed:`, error);
+            });
+        });
+
+        logger.info('CommandRouter initialized');
+    }
+
+    /**
+     * Route a command to the background or a tab
+     */
+    async _handleCommand(command, tab) {
+        logger.debug(`Command: ${command}`);
+
+        if (command === 'toggle-enabled') {
+            await this._toggleEnabled();
+            return;
+        }
+
+        const action = TAB_COMMANDS[command];
+        if (!action) {
+            logger.warn(`Unknown command: ${command}`);
+            return;
+        }
+
+        const tabId = this._getTargetTabId(tab);
+        if (tabId === null) {
+            logger.debug(`No feed tab for command "${command}"`);
+            return;
+        }
+
+        await chrome.tabs.sendMessage(tabId, { action });
+    }
+
+    /**
+     * Prefer the focused tab if it runs a feed, else the tab that is auto-scrolling,
+     * else the focused tab (tabs may not have reconnected after a worker restart)
+     */
+    _getTargetTabId(tab) {
+        if (tab?.id !== undefined && tabCoordinator.tabs.get(tab.id)?.isSupported) {
+            return tab.id;
+        }
+        return tabCoordinator.state.activeTabId ?? tab?.id ?? null;
+    }
+
+    /**
+     * Flip the global enable setting; tabs react through their settings listener
+     */
+    async _toggleEnabled() {
+        await settingsManager.initialize();
+        const enabled = !settingsManager.get('globalEnabled', true);
+
+        if (await settingsManager.save({ globalEnabled: enabled })) {
+            logger.info(`Auto-scroll ${enabled ? 'enabled' : 'disabled'} by shortcut`);
+        }
+    }
+}
+
+export const commandRouter = new CommandRouter();
+export default CommandRouter;
@@ -0,0 +1,121 @@
+/**
+ * Context Menu Manager - Right-click actions for the video feed
+ * Items are only visible while the focused tab reports a supported page type
+ */
+
+import { logger } from '../core/Logger.js';
+import { tabCoordinator } from './TabCoordinator.js';
+
+// Menu item -> Controller message action
+const MENU_ITEMS = [
+    { id: 'autoscroll-next', title: 'Skip to next video', action: 'scrollNext' },
+    { id: 'autoscroll-pause', title: 'Pause auto-scroll here', action: 'pause' },
+    { id: 'autoscroll-block-creator', title: 'Never auto-scroll this creator', action: 'blockCreator' }
+];
+
+class ContextMenuManager {
+    constructor() {
+        this.focusedTabId = null;
+    }
+
+    /**
+     * Register listeners. Must run in the worker's first turn.
+     */
+    initialize() {
+        if (!chrome.contextMenus) {
+            logger.warn('ContextMenuManager: contextMenus API not available');
+            return;
+        }
+
+        // Menu items persist across worker restarts, so only create them on install
+        chrome.runtime.onInstalled.addListener(() => this._createMenus());
+
+        chrome.contextMenus.onClicked.addListener((info, tab) => {
+            this._handleClick(info, tab).catch((error) => {
+                logger.error(`Context menu "${info.menuItemId}" failed:`, error);
+            });
+        });
+
+        chrome.tabs.onActivated.addListener(({ tabId }) => {
+            this.focusedTabId = tabId;
+            this._updateVisibility();
+        });
+
+        // Menus are shared by all windows, so follow the active tab of the focused one
+        chrome.windows.onFocusChanged.addListener((windowId) => {
+            if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+            chrome.tabs.query({ active: true, windowId }, ([tab] = []) => {
+                if (tab) {
+                    this.focusedTabId = tab.id;
+                    this._updateVisibility();
+                }
+            });
+        });
+
+        tabCoordinator.addStatusListener((tabId, tab) => {
+            if (tab?.visible) {
+                this.focusedTabId = tabId;
+            }
+            if (tabId === this.focusedTabId) {
+                this._updateVisibility();
+            }
+        });
+
+        logger.info('ContextMenuManager initialized');
+    }
+
+    /**
+     * Create the menu items, hidden until a feed tab is focused
+     */
+    _createMenus() {
+        const documentUrlPatterns = chrome.runtime.getManifest().content_scripts
+            .flatMap((script) => script.matches);
+
+        chrome.contextMenus.removeAll(() => {
+            for (const item of MENU_ITEMS) {
+                chrome.contextMenus.create({
+                    id: item.id,
+                    title: item.title,
+                    contexts: ['page', 'video', 'image', 'link'],
+                    documentUrlPatterns,
+                    visible: false
+                });
+            }
+            this._updateVisibility();
+        });
+    }
+
+    /**
+     * Show the items only while the focused tab has a supported feed. The items
+     * outlive the worker, so this always updates them instead of caching what was set.
+     */
+    _updateVisibility() {
+        const visible = Boolean(tabCoordinator.tabs.get(this.focusedTabId)?.isSupported);
+
+        for (const item of MENU_ITEMS) {
+            chrome.contextMenus.update(item.id, { visible }, () => {
+                // Reading lastError keeps a missing item from being reported as unchecked
+                if (chrome.runtime.lastError) {
+                    logger.debug(`ContextMenuManager: ${chrome.runtime.lastError.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Send the clicked item's action to the tab's Controller
+     */
+    async _handleClick(info, tab) {
+        const item = MENU_ITEMS.find((menuItem) => menuItem.id === info.menuItemId);
+        if (!item || tab?.id === undefined) return;
+
+        const response = await chrome.tabs.sendMessage(tab.id, { action: item.action });
+        if (item.action === 'blockCreator' && response && !response.success) {
+            logger.warn('Could not block creator:', response.reason);
+        }
+    }
+}
+
+export const contextMenuManager = new ContextMenuManager();
+export default ContextMenuManager;
@@ -0,0 +1,286 @@
+/**
+ * Tab Coordinator - Owns state shared by all tabs in the background service worker
+ * Tracks connected feed tabs, the global paused flag and the running session,
+ * and lets only one tab auto-scroll at a time
+ */
+
+import { logger } from '../core/Logger.js';
+import { TAB_PORT_NAME } from '../storage/defaults.js';
+
+// storage.session key; the service worker may be stopped at any time
+const STATE_KEY = 'coordinator';
+
+class TabCoordinator {
+    constructor() {
+        // tabId -> { port, siteName, isSupported, visible, lastVisibleAt }
+        this.tabs = new Map();
+
+        this.state = {
+            paused: false,
+            activeTabId: null,
+            session: null
+        };
+
+        this._statusListeners = [];
+        this._ready = null;
+    }
+
+    /**
+     * Register listeners. Must run in the worker's first turn so events
+     * that woke it up are not missed.
+     */
+    initialize() {
+        this._ready = this._restoreState();
+
+        chrome.runtime.onConnect.addListener((port) => {
+            if (port.name === TAB_PORT_NAME) {
+                this._handleConnect(port);
+            }
+        });
+
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.action !== 'getGlobalState') return false;
+
+            this._ready.then(() => sendResponse(this.getGlobalState()));
+            return true; // Keep channel open for async response
+        });
+
+        // Switching to a feed tab hands auto-scroll over to it
+        chrome.tabs.onActivated.addListener(({ tabId }) => {
+            const tab = this.tabs.get(tabId);
+            if (tab?.isSupported) {
+                tab.lastVisibleAt = Date.now();
+                this._setActiveTab(tabId);
+            }
+        });
+
+        logger.info('TabCoordinator initialized');
+    }
+
+    /**
+     * Restore state saved before the worker was last stopped
+     */
+    async _restoreState() {
+        if (!chrome.storage?.session) return;
+
+        try {
+            const stored = await chrome.storage.session.get(STATE_KEY);
+            if (stored[STATE_KEY]) {
+                // Tabs reconnect on their own, so the active tab is re-elected
+                this.state = { ...this.state, ...stored[STATE_KEY], activeTabId: null };
+            }
+        } catch (error) {
+            logger.error('Failed to restore coordinator state:', error);
+        }
+    }
+
+    /**
+     * Persist state to session storage
+     */
+    async _saveState() {
+        if (!chrome.storage?.session) return;
+
+        try {
+            await chrome.storage.session.set({ [STATE_KEY]: this.state });
+        } catch (error) {
+            logger.error('Failed to save coordinator state:', error);
+        }
+    }
+
+    /**
+     * Track a newly connected tab until its port closes
+     */
+    _handleConnect(port) {
+        const tabId = port.sender?.tab?.id;
+        if (tabId === undefined) {
+            port.disconnect();
+            return;
+        }
+
+        this.tabs.set(tabId, {
+            port,
+            siteName: null,
+            isSupported: false,
+            visible: false,
+            lastVisibleAt: 0
+        });
+
+        port.onMessage.addListener(async (message) => {
+            await this._ready;
+            this._handleTabMessage(tabId, message);
+        });
+
+        port.onDisconnect.addListener(() => {
+            // A reconnect from the same tab may already have replaced this entry
+            if (this.tabs.get(tabId)?.port !== port) return;
+
+            this.tabs.delete(tabId);
+            this._notifyStatusListeners(tabId, null);
+            logger.debug(`Tab ${tabId} disconnected`);
+
+            if (this.state.session?.tabId === tabId) {
+                this.state.session = null;
+                this._saveState();
+            }
+            if (this.state.activeTabId === tabId) {
+                this._setActiveTab(this._electActiveTab());
+            }
+        });
+
+        logger.debug(`Tab ${tabId} connected`);
+    }
+
+    /**
+     * Handle an event from a content script
+     */
+    _handleTabMessage(tabId, message) {
+        const tab = this.tabs.get(tabId);
+        if (!tab) return;
+
+        switch (message.action) {
+            case 'status':
+                tab.siteName = message.siteName ?? null;
+                tab.isSupported = Boolean(message.isSupported);
+                tab.visible = Boolean(message.visible);
+                this._handleTabStatus(tabId, tab);
+                this._notifyStatusListeners(tabId, tab);
+                break;
+
+            case 'setPaused':
+                this.setPaused(Boolean(message.paused));
+                break;
+
+            case 'sessionUpdate':
+                this._updateSession(tabId, message.session);
+                break;
+
+            default:
+                logger.debug(`TabCoordinator: Unknown action "${message.action}" from tab ${tabId}`);
+        }
+    }
+
+    /**
+     * Re-elect the active tab after a tab's feed or visibility changed
+     */
+    _handleTabStatus(tabId, tab) {
+        if (tab.isSupported && tab.visible) {
+            // The most recently shown feed takes over
+            tab.lastVisibleAt = Date.now();
+            this._setActiveTab(tabId);
+        } else if (this.state.activeTabId === tabId && !tab.isSupported) {
+            this._setActiveTab(this._electActiveTab());
+        } else if (this.state.activeTabId === null && tab.isSupported) {
+            this._setActiveTab(tabId);
+        } else {
+            this._sendState(tabId, tab);
+        }
+    }
+
+    /**
+     * Listen for a tab reporting its status or disconnecting
+     * @param {Function} listener - Called with (tabId, tab), tab is null once disconnected
+     */
+    addStatusListener(listener) {
+        this._statusListeners.push(listener);
+    }
+
+    /**
+     * Notify status listeners
+     */
+    _notifyStatusListeners(tabId, tab) {
+        for (const listener of this._statusListeners) {
+            try {
+                listener(tabId, tab);
+            } catch (error) {
+                logger.error('Tab status listener error:', error);
+            }
+        }
+    }
+
+    /**
+     * Pick the feed tab shown most recently, or null if there is none
+     */
+    _electActiveTab() {
+        let best = null;
+        for (const [tabId, tab] of this.tabs) {
+            if (tab.isSupported && (best === null || tab.lastVisibleAt > this.tabs.get(best).lastVisibleAt)) {
+                best = tabId;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Make one tab the only one allowed to auto-scroll and notify all tabs
+     */
+    _setActiveTab(tabId) {
+        if (this.state.activeTabId !== tabId) {
+            logger.debug(`Active tab: ${tabId}`);
+        }
+        this.state.activeTabId = tabId;
+        this._saveState();
+        this._broadcastState();
+    }
+
+    /**
+     * Set the global paused flag for every tab
+     */
+    setPaused(paused) {
+        this.state.paused = paused;
+        this._saveState();
+        this._broadcastState();
+        logger.info(`Auto-scroll ${paused ? 'paused' : 'resumed'} in all tabs`);
+    }
+
+    /**
+     * Remember the session a tab is running; null or stopped sessions clear it
+     */
+    _updateSession(tabId, session) {
+        const running = session && (session.active || session.endReason);
+        this.state.session = running ? { ...session, tabId } : null;
+        this._saveState();
+    }
+
+    /**
+     * Send every tab its view of the shared state
+     */
+    _broadcastState() {
+        for (const [tabId, tab] of this.tabs) {
+            this._sendState(tabId, tab);
+        }
+    }
+
+    /**
+     * Send one tab its view of the shared state
+     */
+    _sendState(tabId, tab) {
+        try {
+            tab.port.postMessage({
+                action: 'state',
+                paused: this.state.paused,
+                isActiveTab: this.state.activeTabId === tabId
+            });
+        } catch (error) {
+            // Port closed; onDisconnect removes the tab
+        }
+    }
+
+    /**
+     * Snapshot of the shared state for the popup. Scroll totals across tabs are
+     * kept by StatsManager, which every tab reads back before recording a scroll.
+     */
+    getGlobalState() {
+        const activeTab = this.tabs.get(this.state.activeTabId);
+
+        return {
+            paused: this.state.paused,
+            activeTabId: this.state.activeTabId,
+            activeSite: activeTab?.siteName || null,
+            session: this.state.session,
+            connectedTabs: this.tabs.size
+        };
+    }
+}
+
+export const tabCoordinator = new TabCoordinator();
+export default TabCoordinator;
@@ -0,0 +1,166 @@
+/**
+ * Background Client - Content script side of the connection to the service worker
+ * Reports this tab's feed, visibility and session, and receives the
+ * shared paused flag and whether this tab may auto-scroll
+ */
+
+import { logger } from './Logger.js';
+import { TAB_PORT_NAME } from '../storage/defaults.js';
+
+class BackgroundClient {
+    constructor() {
+        this.options = {
+            reconnectDelay: 1000,
+            maxReconnectAttempts: 5
+        };
+
+        this.callbacks = {
+            onState: null
+        };
+
+        this.port = null;
+        this.status = {
+            siteName: null,
+            isSupported: false,
+            visible: true
+        };
+
+        this._reconnectAttempts = 0;
+        this._reconnectTimeout = null;
+        this._boundVisibility = null;
+    }
+
+    /**
+     * Set callbacks
+     */
+    setCallbacks(callbacks = {}) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    /**
+     * Open the port and start reporting visibility changes
+     */
+    initialize() {
+        this.status.visible = !document.hidden;
+
+        if (!this._boundVisibility) {
+            this._boundVisibility = () => this.updateStatus({ visible: !document.hidden });
+            document.addEventListener('visibilitychange', this._boundVisibility);
+        }
+
+        this._connect();
+    }
+
+    /**
+     * Connect to the service worker; it may be stopped and restarted at any time
+     */
+    _connect() {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.connect) return;
+
+        try {
+            this.port = chrome.runtime.connect({ name: TAB_PORT_NAME });
+        } catch (error) {
+            // Extension was reloaded or removed; this content script is orphaned
+            logger.warn('Background connection unavailable:', error.message);
+            this._giveUp();
+            return;
+        }
+
+        this.port.onMessage.addListener((message) => {
+            this._reconnectAttempts = 0;
+            if (message.action === 'state' && this.callbacks.onState) {
+                this.callbacks.onState(message);
+            }
+        });
+
+        this.port.onDisconnect.addListener(() => {
+            this.port = null;
+            this._scheduleReconnect();
+        });
+
+        this._post({ action: 'status', ...this.status });
+        logger.debug('Connected to background');
+    }
+
+    /**
+     * Reconnect after the worker went away, giving up after repeated failures
+     */
+    _scheduleReconnect() {
+        if (this._reconnectAttempts >= this.options.maxReconnectAttempts) {
+            logger.warn('Background not reachable, coordinating without it');
+            this._giveUp();
+            return;
+        }
+
+        this._reconnectAttempts++;
+        this._reconnectTimeout = setTimeout(() => this._connect(), this.options.reconnectDelay);
+    }
+
+    /**
+     * Run standalone: this tab decides for itself
+     */
+    _giveUp() {
+        if (this.callbacks.onState) {
+            this.callbacks.onState({ isActiveTab: true });
+        }
+    }
+
+    /**
+     * Post a message if connected
+     */
+    _post(message) {
+        if (!this.port) return;
+
+        try {
+            this.port.postMessage(message);
+        } catch (error) {
+            logger.debug('Background message failed:', error.message);
+        }
+    }
+
+    /**
+     * Report this tab's site, feed support or visibility
+     */
+    updateStatus(updates) {
+        this.status = { ...this.status, ...updates };
+        this._post({ action: 'status', ...this.status });
+    }
+
+    /**
+     * Pause or resume auto-scroll in every tab
+     */
+    setPaused(paused) {
+        this._post({ action: 'setPaused', paused });
+    }
+
+    /**
+     * Report the current session from Controller.getSession()
+     */
+    reportSession(session) {
+        this._post({ action: 'sessionUpdate', session });
+    }
+
+    /**
+     * Close the port and stop listening
+     */
+    cleanup() {
+        clearTimeout(this._reconnectTimeout);
+        this._reconnectTimeout = null;
+
+        if (this._boundVisibility) {
+            document.removeEventListener('visibilitychange', this._boundVisibility);
+            this._boundVisibility = null;
+        }
+
+        if (this.port) {
+            const port = this.port;
+            this.port = null;
+            port.disconnect();
+        }
+
+        logger.debug('BackgroundClient cleaned up');
+    }
+}
+
+export const backgroundClient = new BackgroundClient();
+export default BackgroundClient;
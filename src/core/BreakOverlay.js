@@ -0,0 +1,149 @@
+/**
+ * Break Overlay - Dismissible "limit reached" panel shown over the page
+ * Rendered in a shadow root so site styles can't leak in
+ */
+
+import { logger } from './Logger.js';
+
+const OVERLAY_STYLES = `
+    .backdrop {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(2, 6, 23, 0.75);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+    }
+
+    .panel {
+        max-width: 360px;
+        padding: 28px;
+        border-radius: 16px;
+        background: #0f172a;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        color: #fff;
+        text-align: center;
+        box-shadow: 0 20px 50px rgba(0, 0, 0, 0.5);
+    }
+
+    .icon {
+        font-size: 40px;
+        margin-bottom: 12px;
+    }
+
+    h2 {
+        margin: 0 0 8px;
+        font-size: 20px;
+    }
+
+    p {
+        margin: 0 0 20px;
+        font-size: 14px;
+        line-height: 1.5;
+        color: rgba(255, 255, 255, 0.7);
+    }
+
+    button {
+        padding: 10px 24px;
+        border: none;
+        border-radius: 8px;
+        background: #6366f1;
+        color: #fff;
+        font-size: 14px;
+        font-weight: 600;
+        cursor: pointer;
+    }
+`;
+
+class BreakOverlay {
+    constructor() {
+        this.host = null;
+        this.dismissedUntil = 0;
+    }
+
+    /**
+     * Show the overlay for a limit status from StatsManager.getLimitStatus().
+     * Does nothing if already shown or dismissed for the current limit day.
+     */
+    show(status) {
+        if (this.host || Date.now() < this.dismissedUntil) return;
+
+        this.host = document.createElement('div');
+        this.host.id = 'autoscroll-break-overlay';
+
+        const shadow = this.host.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = OVERLAY_STYLES;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'backdrop';
+
+        const panel = document.createElement('div');
+        panel.className = 'panel';
+        panel.setAttribute('role', 'dialog');
+
+        const icon = document.createElement('div');
+        icon.className = 'icon';
+        icon.textContent = '☕';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Time for a break';
+
+        const message = document.createElement('p');
+        message.textContent = this._getMessage(status);
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.textContent = 'Dismiss';
+        dismissBtn.addEventListener('click', () => this.dismiss(status.resetsAt));
+
+        panel.append(icon, title, message, dismissBtn);
+        backdrop.append(panel);
+        shadow.append(style, backdrop);
+        document.body.append(this.host);
+
+        logger.info(`Break overlay shown: ${status.reason} limit reached`);
+    }
+
+    /**
+     * Hide the overlay and keep it hidden until the limits reset
+     */
+    dismiss(until = 0) {
+        this.dismissedUntil = until;
+        this.hide();
+        logger.debug('Break overlay dismissed');
+    }
+
+    /**
+     * Remove the overlay from the page
+     */
+    hide() {
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+        }
+    }
+
+    /**
+     * Check if the overlay is on the page
+     */
+    isVisible() {
+        return this.host !== null;
+    }
+
+    /**
+     * Describe which limit was reached and when it resets
+     */
+    _getMessage(status) {
+        const resetTime = new Date(status.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const limit = status.reason === 'videos'
+            ? `You've auto-scrolled ${status.videos} videos today.`
+            : `You've watched ${Math.round(status.minutes)} minutes on this site today.`;
+
+        return `${limit} Auto-scroll is paused until ${resetTime}. You can still scroll manually.`;
+    }
+}
+
+export const breakOverlay = new BreakOverlay();
+export default BreakOverlay;
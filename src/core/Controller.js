@@ -8,9 +8,25 @@ import { siteDetector } from './SiteDetector.js';
 import { scrollManager } from './ScrollManager.js';
 import { safetyController } from './SafetyController.js';
 import { hotkeyManager } from './HotkeyManager.js';
+import { breakOverlay } from './BreakOverlay.js';
+import { backgroundClient } from './BackgroundClient.js';
 import { settingsManager } from '../storage/SettingsManager.js';
 import { statsManager } from '../storage/StatsManager.js';
+import { seenManager } from '../storage/SeenManager.js';
 import EndDetector from './EndDetector.js';
+import { PLAYBACK_RATE_LIMITS } from '../storage/defaults.js';
+
+// Creator links, captions and ad labels often render after the video
+const METADATA_DELAY_MS = 500;
+
+// How often a playing video sends a progressUpdate, which moves the popup's progress bar
+const PROGRESS_UPDATE_MS = 1000;
+
+// Progress is only sent this long after the popup last asked for stats (it polls every 2s)
+const POPUP_LISTENING_MS = 5000;
+
+// How many videos scrolled past are remembered for scrollPrevious
+const MAX_LEFT_VIDEOS = 50;
 
 class Controller {
     constructor() {
@@ -21,13 +37,32 @@ class Controller {
         this.state = {
             enabled: true,
             paused: false,
+            activeTab: true, // Only one tab auto-scrolls at a time; set by the background
             scrollLock: false,
             initialized: false,
             siteName: null,
             pageType: null
         };
 
+        // Timed session started from the popup (see startSession)
+        this.session = null;
+        this._sessionTimer = null;
+
+        // Speed picked with the speed hotkeys; kept for the following videos
+        this._playbackRate = null;
+
         this._scrollPending = false;
+        // Ids of the videos scrolled past, newest last; scrollPrevious moves the one it
+        // goes back to into _revisitIds, so that video isn't skipped as already watched
+        this._leftVideoIds = [];
+        this._revisitIds = new Set();
+        this._progressVideo = null;
+        this._progressHandler = null;
+        this._popupPolledAt = 0;
+        // Adapter metadata of the current video, read once by _checkVideoMetadata
+        this._videoMetadata = null;
+        // Whether the current video was added to the seen set; only its first end counts
+        this._markedSeen = false;
         this._urlCheckInterval = null;
         this._lastUrl = '';
     }
@@ -40,9 +75,10 @@ class Controller {
 
         logger.info('Controller initializing...');
 
-        // Load settings and stats
+        // Load settings, stats and watched videos
         await settingsManager.initialize();
         await statsManager.initialize();
+        await seenManager.initialize();
 
         // Configure logger
         logger.setDebugEnabled(settingsManager.get('debugLogging', false));
@@ -53,8 +89,12 @@ class Controller {
         // Setup message listener for popup communication
         this._setupMessageListener();
 
+        // Connect to the background service worker for cross-tab state
+        this._setupBackgroundClient();
+
         // Detect site and initialize
         await this._detectAndInitialize();
+        this._reportStatus();
 
         // Setup URL change detection (for SPAs)
         this._setupUrlWatcher();
@@ -72,6 +112,7 @@ class Controller {
         if (!detection) {
             logger.info('No supported site detected');
             this._updateState({ siteName: null, pageType: null });
+            settingsManager.setActiveSite(null);
             return;
         }
 
@@ -79,6 +120,9 @@ class Controller {
 
         this._updateState({ siteName, pageType });
 
+        // Resolve per-site overrides for this site from now on
+        settingsManager.setActiveSite(siteName);
+
         // Check if site is enabled in settings
         if (!settingsManager.isSiteEnabled(siteName)) {
             logger.info(`${siteName} is disabled in settings`);
@@ -139,11 +183,18 @@ class Controller {
     _initializeHotkeys() {
         const hotkeySettings = settingsManager.get('hotkeys', {});
         hotkeyManager.configure(hotkeySettings);
+        hotkeyManager.reportConflicts(this.state.siteName);
 
         hotkeyManager.setCallbacks({
             onTogglePause: () => this.togglePause(),
             onScrollNext: () => this.scrollNext(),
-            onScrollPrev: () => this.scrollPrevious()
+            onScrollPrev: () => this.scrollPrevious(),
+            onReplay: () => this.replay(),
+            onSkipAhead: () => this.skipAhead(settingsManager.get('hotkeys', {}).skipCount),
+            onToggleMute: () => this.toggleMute(),
+            onSpeedUp: () => this.changePlaybackRate(PLAYBACK_RATE_LIMITS.step),
+            onSpeedDown: () => this.changePlaybackRate(-PLAYBACK_RATE_LIMITS.step),
+            onLike: () => this.likeCurrentVideo()
         });
 
         hotkeyManager.initialize();
@@ -175,10 +226,140 @@ class Controller {
 
         logger.debug('Attaching to new video');
         this.currentVideo = video;
+        this._videoMetadata = null;
+        this._markedSeen = false;
+        this._applyPlaybackRate(video);
 
         this.endDetector.attach(video, (data) => {
             this._handleVideoEnd(data);
         });
+        this._watchProgress(video);
+
+        // Deferred so a scroll that attached this video has finished and a skip can follow
+        setTimeout(() => this._skipIfDurationOutOfRange(video), 0);
+
+        setTimeout(() => this._checkVideoMetadata(video), METADATA_DELAY_MS);
+    }
+
+    /**
+     * Send a progressUpdate at most every PROGRESS_UPDATE_MS while a video plays
+     * and the popup is open
+     */
+    _watchProgress(video) {
+        this._stopWatchingProgress();
+
+        let lastUpdate = 0;
+        this._progressHandler = () => {
+            const now = Date.now();
+            if (document.hidden || now - lastUpdate < PROGRESS_UPDATE_MS) return;
+            if (now - this._popupPolledAt > POPUP_LISTENING_MS) return;
+            lastUpdate = now;
+            this._sendProgressUpdate();
+        };
+        this._progressVideo = video;
+        video.addEventListener('timeupdate', this._progressHandler);
+    }
+
+    /**
+     * Remove the progress listener from the last attached video
+     */
+    _stopWatchingProgress() {
+        if (this._progressVideo) {
+            this._progressVideo.removeEventListener('timeupdate', this._progressHandler);
+        }
+        this._progressVideo = null;
+        this._progressHandler = null;
+    }
+
+    /**
+     * Play a video at the speed chosen with the speed hotkeys on this page,
+     * else at the playbackRate setting
+     */
+    _applyPlaybackRate(video) {
+        const rate = this._playbackRate ?? settingsManager.get('playbackRate', 1);
+        if (this.adapter && video.playbackRate !== rate) {
+            this.adapter.setPlaybackRate(video, rate);
+        }
+    }
+
+    /**
+     * Scroll past a video whose creator, hashtags or caption are on a skip list,
+     * that was already watched (skipRules.skipWatched) or that is an ad (skipRules.skipAds)
+     */
+    async _checkVideoMetadata(video) {
+        if (!this.adapter || video !== this.currentVideo) return;
+
+        const metadata = this.adapter.getVideoMetadata(video);
+        this._videoMetadata = metadata;
+        const skip = settingsManager.findSkipMatch(this.state.siteName, metadata);
+        if (skip) {
+            logger.debug(`Video matches skip list entry "${skip.match}"`, metadata);
+            await this._skipVideo(video, skip.reason, skip.match);
+            return;
+        }
+
+        const {
+            skipAds = false,
+            adGracePeriod = 0,
+            skipWatched = false,
+            watchedWithinDays = 7
+        } = settingsManager.get('skipRules', {});
+
+        const revisiting = this._revisitIds.has(metadata.id);
+        if (skipWatched && !revisiting && seenManager.hasSeen(this.state.siteName, metadata.id, watchedWithinDays)) {
+            logger.debug(`Video ${metadata.id} was already watched`);
+            await this._skipVideo(video, 'already_watched');
+            return;
+        }
+
+        if (metadata.isSponsored && skipAds) {
+            // The grace period counts from when the ad appeared
+            const wait = Math.max(0, adGracePeriod * 1000 - METADATA_DELAY_MS);
+            logger.debug(`Ad detected, skipping in ${wait}ms`);
+            setTimeout(() => this._skipVideo(video, 'sponsored', null, { sponsored: true }), wait);
+        }
+    }
+
+    /**
+     * Scroll past a video whose length breaks the skipRules, once its duration is known
+     */
+    _skipIfDurationOutOfRange(video) {
+        if (!this.adapter || video !== this.currentVideo) return;
+
+        const { duration } = video;
+        if (!duration || !isFinite(duration)) {
+            video.addEventListener('durationchange', () => this._skipIfDurationOutOfRange(video), { once: true });
+            return;
+        }
+
+        const { minDuration = 0, maxDuration = 0 } = settingsManager.get('skipRules', {});
+        let reason = null;
+        if (minDuration > 0 && duration < minDuration) {
+            reason = 'too_short';
+        } else if (maxDuration > 0 && duration > maxDuration) {
+            reason = 'too_long';
+        }
+        if (!reason) return;
+
+        logger.debug(`Video length ${duration.toFixed(1)}s breaks the skip rules`);
+        this._skipVideo(video, reason);
+    }
+
+    /**
+     * Scroll past the current video right away instead of letting it play out
+     * @param {HTMLVideoElement} video - The video that should be skipped
+     * @param {string} reason - Recorded as the history entry's endReason
+     * @param {string|null} match - Skip list entry the video matched, if any
+     * @param {Object} details - Extra recordScroll details, such as sponsored
+     */
+    async _skipVideo(video, reason, match = null, details = {}) {
+        if (this._scrollPending || video !== this.currentVideo) return;
+        if (!this._canAutoScroll()) return;
+
+        logger.info(`Skipping video: ${reason}${match ? ` (${match})` : ''}`);
+        this._scrollPending = true;
+        await this._performScroll({ ...details, reason, duration: video.duration, skipped: true, skipMatch: match });
+        this._scrollPending = false;
     }
 
     /**
@@ -187,13 +368,58 @@ class Controller {
     async _handleVideoEnd(data) {
         logger.info(`Video ended: ${data.reason}`);
 
+        if (data.video === this.currentVideo && !this._markedSeen && this.adapter) {
+            this._markedSeen = true;
+            const videoId = this._videoMetadata?.id ?? this.adapter.getVideoLink(data.video)?.id;
+            seenManager.markSeen(this.state.siteName, videoId);
+        }
+
+        if (!this._hasMetWatchTarget(data)) {
+            logger.info(`Play ${data.loopCount} finished, watching again`);
+            // A video that stopped instead of looping has to be restarted
+            if (data.video?.ended && this.adapter) {
+                this.adapter.replay(data.video, scrollManager);
+            }
+            this.endDetector.resume();
+            this._sendStatsUpdate();
+            return;
+        }
+
         // Check if we can auto-scroll
         if (!this._canAutoScroll()) {
             logger.debug('Cannot auto-scroll at this time');
             return;
         }
 
-        await this._scheduleScroll();
+        await this._scheduleScroll(data);
+    }
+
+    /**
+     * Check whether a video has played enough times, and for long enough in total,
+     * to move on (see the watchTarget setting)
+     */
+    _hasMetWatchTarget(data) {
+        const { loops = 1, minWatchTime = 0 } = settingsManager.get('watchTarget', {});
+        // Without a known duration only the loop count can be checked
+        const watchedTime = Number.isFinite(data.duration) ? data.loopCount * data.duration : Infinity;
+
+        return data.loopCount >= loops && watchedTime >= minWatchTime;
+    }
+
+    /**
+     * Current video info from the end detector, with the loop target for the popup
+     */
+    _getVideoInfo() {
+        const info = this.endDetector.getVideoInfo();
+        return info && { ...info, loopTarget: settingsManager.get('watchTarget', {}).loops || 1 };
+    }
+
+    /**
+     * Adapter metadata of the current video, for the popup's "Now playing" card;
+     * null until _checkVideoMetadata has read it
+     */
+    _getVideoMetadata() {
+        return this._videoMetadata;
     }
 
     /**
@@ -205,6 +431,12 @@ class Controller {
             return false;
         }
 
+        // Check that no other tab is auto-scrolling
+        if (!this.state.activeTab) {
+            logger.debug('Another tab is auto-scrolling');
+            return false;
+        }
+
         // Check global enabled
         if (!settingsManager.get('globalEnabled', true)) {
             return false;
@@ -215,6 +447,14 @@ class Controller {
             return false;
         }
 
+        // Check daily limits
+        const limitStatus = this._getLimitStatus();
+        if (limitStatus.reached) {
+            logger.debug(`Daily ${limitStatus.reason} limit reached`);
+            breakOverlay.show(limitStatus);
+            return false;
+        }
+
         // Check safety
         const safetyCheck = safetyController.canAutoScroll();
         if (!safetyCheck.allowed) {
@@ -230,10 +470,17 @@ class Controller {
         return true;
     }
 
+    /**
+     * Check today's usage against the effective daily limits
+     */
+    _getLimitStatus() {
+        return statsManager.getLimitStatus(settingsManager.get('limits', {}), this.state.siteName);
+    }
+
     /**
      * Schedule a scroll after delay
      */
-    async _scheduleScroll() {
+    async _scheduleScroll(endData) {
         if (this._scrollPending) return;
         this._scrollPending = true;
 
@@ -245,9 +492,9 @@ class Controller {
 
         await this._delay(totalDelay);
 
-        // Re-check if we can still scroll
-        if (this._canAutoScroll()) {
-            await this._performScroll();
+        // Re-check if we can still scroll; a replay or newly attached video resets the detector
+        if (this.endDetector.triggered && this._canAutoScroll()) {
+            await this._performScroll(endData);
         }
 
         this._scrollPending = false;
@@ -255,11 +502,16 @@ class Controller {
 
     /**
      * Perform the actual scroll
+     * @param {Object} endData - EndDetector data for auto-scrolls; omitted for manual scrolls
+     * @returns {Promise<boolean>} Whether a new video was reached
      */
-    async _performScroll() {
-        if (!this.adapter) return;
+    async _performScroll(endData = null) {
+        if (!this.adapter) return false;
 
         const previousVideo = this.currentVideo;
+        const watchedTime = this._getWatchedTime(previousVideo);
+        // Read before scrolling; feeds may drop the old video's container afterwards
+        const metadata = previousVideo ? this.adapter.getVideoMetadata(previousVideo) : null;
 
         // Configure scroll manager
         scrollManager.configure({
@@ -278,8 +530,26 @@ class Controller {
         if (result.success) {
             logger.info(`Scroll successful: ${result.method} (attempt ${result.attempt})`);
 
-            // Record stats
-            await statsManager.recordScroll(this.state.siteName);
+            this._leftVideoIds.push(metadata?.id ?? null);
+            if (this._leftVideoIds.length > MAX_LEFT_VIDEOS) {
+                this._leftVideoIds.shift();
+            }
+
+            // Record stats and history
+            await statsManager.recordScroll(this.state.siteName, {
+                url: window.location.href,
+                pageType: this.state.pageType,
+                videoId: metadata?.id ?? null,
+                author: metadata?.author ?? null,
+                duration: endData?.duration ?? previousVideo?.duration,
+                watchedTime,
+                endReason: endData?.reason ?? 'manual',
+                method: result.method,
+                attempt: result.attempt,
+                skipped: endData?.skipped ?? false,
+                skipMatch: endData?.skipMatch ?? null,
+                sponsored: endData?.sponsored ?? false
+            });
 
             // Reset end detector and attach to new video
             this.endDetector.reset();
@@ -293,12 +563,30 @@ class Controller {
                 this._attachToVideo(newVideo);
             }
 
+            // Stop if this scroll completed the session's video target
+            this._checkSessionTarget();
+
             // Send stats update to popup
             this._sendStatsUpdate();
 
         } else {
             logger.warn(`Scroll failed: ${result.reason}`);
         }
+
+        return result.success;
+    }
+
+    /**
+     * Seconds of the video actually played, from its played ranges
+     */
+    _getWatchedTime(video) {
+        if (!video?.played) return null;
+
+        let seconds = 0;
+        for (let i = 0; i < video.played.length; i++) {
+            seconds += video.played.end(i) - video.played.start(i);
+        }
+        return seconds;
     }
 
     /**
@@ -348,6 +636,50 @@ class Controller {
 
         // Re-detect and initialize
         await this._detectAndInitialize();
+        this._reportStatus();
+    }
+
+    /**
+     * Setup the connection to the background service worker
+     */
+    _setupBackgroundClient() {
+        backgroundClient.setCallbacks({
+            onState: (state) => this._handleBackgroundState(state)
+        });
+        backgroundClient.initialize();
+    }
+
+    /**
+     * Apply shared state pushed by the background service worker
+     */
+    _handleBackgroundState(state) {
+        if (state.isActiveTab !== this.state.activeTab) {
+            logger.debug(state.isActiveTab ? 'This tab now auto-scrolls' : 'Another tab took over auto-scroll');
+        }
+
+        const updates = { activeTab: state.isActiveTab };
+        if ('paused' in state) {
+            updates.paused = state.paused;
+        }
+
+        const changed = updates.activeTab !== this.state.activeTab ||
+            ('paused' in updates && updates.paused !== this.state.paused);
+        this._updateState(updates);
+
+        if (changed) {
+            this._sendStatsUpdate();
+        }
+    }
+
+    /**
+     * Tell the background whether this tab has a feed that can auto-scroll
+     */
+    _reportStatus() {
+        backgroundClient.updateStatus({
+            siteName: this.state.siteName,
+            isSupported: Boolean(this.adapter?.isOnSupportedPage())
+        });
+        this._sendStatsUpdate();
     }
 
     /**
@@ -363,23 +695,40 @@ class Controller {
     }
 
     /**
-     * Handle messages from popup
+     * Handle messages from the popup and background
      */
     _handleMessage(message, sendResponse) {
         switch (message.action) {
             case 'getStats':
+                this._popupPolledAt = Date.now();
                 sendResponse({
                     scrollCount: statsManager.getSiteStats(this.state.siteName)?.sessionScrolls || 0,
                     lastScrollTimestamp: statsManager.getSiteStats(this.state.siteName)?.lastScrollTime,
-                    lastVideoInfo: this.endDetector.getVideoInfo(),
+                    lastVideoInfo: this._getVideoInfo(),
+                    videoMetadata: this._getVideoMetadata(),
                     enabled: this.state.enabled,
                     paused: this.state.paused,
+                    activeTab: this.state.activeTab,
                     siteName: this.state.siteName,
                     pageType: this.state.pageType,
-                    isSupported: this.adapter?.isOnSupportedPage() || false
+                    isSupported: this.adapter?.isOnSupportedPage() || false,
+                    session: this.getSession()
                 });
                 break;
 
+            case 'startSession':
+                sendResponse(this.startSession({ minutes: message.minutes, videos: message.videos }));
+                break;
+
+            case 'stopSession':
+                this.stopSession();
+                sendResponse(this.getSession());
+                break;
+
+            case 'getSession':
+                sendResponse(this.getSession());
+                break;
+
             case 'testScroll':
                 this._performScroll().then(() => {
                     sendResponse({
@@ -391,6 +740,7 @@ class Controller {
 
             case 'resetStats':
                 statsManager.resetSessionStats();
+                this._sendStatsUpdate();
                 sendResponse({ success: true });
                 break;
 
@@ -399,6 +749,28 @@ class Controller {
                 sendResponse({ paused: this.state.paused });
                 break;
 
+            case 'pause':
+                this.pause();
+                sendResponse({ paused: this.state.paused });
+                break;
+
+            case 'scrollNext':
+                this.scrollNext().then(() => sendResponse({ success: true }));
+                break;
+
+            case 'scrollPrevious':
+                this.scrollPrevious().then(() => sendResponse({ success: true }));
+                break;
+
+            case 'replay':
+                this.replay();
+                sendResponse({ success: true });
+                break;
+
+            case 'blockCreator':
+                this.blockCurrentCreator().then(sendResponse);
+                break;
+
             case 'getState':
                 sendResponse({
                     ...this.state,
@@ -413,7 +785,7 @@ class Controller {
     }
 
     /**
-     * Send stats update to popup
+     * Send stats update to popup and the toolbar badge
      */
     _sendStatsUpdate() {
         if (typeof chrome !== 'undefined' && chrome.runtime?.sendMessage) {
@@ -423,8 +795,13 @@ class Controller {
                     data: {
                         scrollCount: statsManager.getSiteStats(this.state.siteName)?.sessionScrolls || 0,
                         lastScrollTimestamp: statsManager.getSiteStats(this.state.siteName)?.lastScrollTime,
-                        lastVideoInfo: this.endDetector.getVideoInfo(),
-                        siteName: this.state.siteName
+                        lastVideoInfo: this._getVideoInfo(),
+                        videoMetadata: this._getVideoMetadata(),
+                        siteName: this.state.siteName,
+                        isSupported: this.adapter?.isOnSupportedPage() || false,
+                        paused: this.state.paused,
+                        activeTab: this.state.activeTab,
+                        session: this.getSession()
                     }
                 });
             } catch (e) {
@@ -433,46 +810,85 @@ class Controller {
         }
     }
 
+    /**
+     * Send the current video's playback position to the popup
+     */
+    _sendProgressUpdate() {
+        if (typeof chrome !== 'undefined' && chrome.runtime?.sendMessage) {
+            try {
+                chrome.runtime.sendMessage({
+                    action: 'progressUpdate',
+                    data: { lastVideoInfo: this._getVideoInfo() }
+                });
+            } catch (e) {
+                // Popup might be closed
+            }
+        }
+    }
+
     /**
      * Handle settings changes
      */
     _handleSettingsChange(changes) {
         logger.debug('Settings changed:', Object.keys(changes));
 
+        // Switching or editing profiles can change any effective value
+        const profileChanged = 'activeProfile' in changes || 'profiles' in changes;
+
         // Update debug logging
         if ('debugLogging' in changes) {
             logger.setDebugEnabled(changes.debugLogging.newValue);
         }
 
-        // Update enabled state
-        if ('globalEnabled' in changes) {
-            this._updateState({ enabled: changes.globalEnabled.newValue });
-
-            if (!changes.globalEnabled.newValue) {
-                this._cleanup(false);
-            } else {
-                this._detectAndInitialize();
-            }
+        // Update global and site-specific enabled state
+        if ('globalEnabled' in changes || 'sites' in changes || profileChanged) {
+            this._applyEnabledState();
         }
 
-        // Update site-specific enabled
-        if ('sites' in changes) {
-            const siteEnabled = changes.sites.newValue?.[this.state.siteName]?.enabled;
-            if (siteEnabled === false && this.adapter) {
-                this._cleanup(false);
-            } else if (siteEnabled === true && !this.adapter) {
-                this._detectAndInitialize();
-            }
+        // Update safety settings (global, profile or a site override may have changed)
+        if ('safety' in changes || 'sites' in changes || profileChanged) {
+            safetyController.configure(settingsManager.get('safety', {}));
         }
 
-        // Update safety settings
-        if ('safety' in changes) {
-            safetyController.configure(changes.safety.newValue);
+        // A new speed setting replaces the one picked with the hotkeys
+        if ('playbackRate' in changes || profileChanged) {
+            this._playbackRate = null;
+        }
+        if (('playbackRate' in changes || 'sites' in changes || profileChanged) && this.currentVideo) {
+            this._applyPlaybackRate(this.currentVideo);
         }
 
         // Update hotkey settings
-        if ('hotkeys' in changes) {
-            hotkeyManager.configure(changes.hotkeys.newValue);
+        if ('hotkeys' in changes || profileChanged) {
+            hotkeyManager.configure(settingsManager.get('hotkeys', {}));
+            hotkeyManager.reportConflicts(this.state.siteName);
+        }
+
+        // Hide the break screen if the limits were raised or turned off
+        if (('limits' in changes || profileChanged) && !this._getLimitStatus().reached) {
+            breakOverlay.hide();
+        }
+
+        if (profileChanged) {
+            const profile = settingsManager.getActiveProfile();
+            logger.info(`Profile: ${profile ? profile.name : 'none'}`);
+        }
+    }
+
+    /**
+     * Start or stop the adapter to match the effective enabled settings
+     */
+    _applyEnabledState() {
+        this._updateState({ enabled: settingsManager.get('globalEnabled', true) });
+
+        const siteEnabled = this.state.siteName !== null &&
+            settingsManager.isSiteEnabled(this.state.siteName);
+
+        if (!siteEnabled && this.adapter) {
+            this._cleanup(false);
+            this._reportStatus();
+        } else if (siteEnabled && !this.adapter) {
+            this._detectAndInitialize().then(() => this._reportStatus());
         }
     }
 
@@ -480,11 +896,125 @@ class Controller {
      * Toggle pause state
      */
     togglePause() {
-        this.state.paused = !this.state.paused;
+        this._setPaused(!this.state.paused);
         logger.info(`Auto-scroll ${this.state.paused ? 'paused' : 'resumed'}`);
         this._sendStatsUpdate();
     }
 
+    /**
+     * Pause auto-scroll; unlike togglePause, never resumes it
+     */
+    pause() {
+        if (this.state.paused) return;
+        this._setPaused(true);
+        logger.info('Auto-scroll paused');
+        this._sendStatsUpdate();
+    }
+
+    /**
+     * Set the paused state here and, through the background, in every tab
+     */
+    _setPaused(paused) {
+        this._updateState({ paused });
+        backgroundClient.setPaused(paused);
+    }
+
+    // ==================== Session Timer ====================
+
+    /**
+     * Start a session that pauses auto-scroll once `minutes` have passed or
+     * `videos` have been scrolled, whichever comes first (0 = no target)
+     */
+    startSession({ minutes = 0, videos = 0 } = {}) {
+        this.stopSession();
+
+        this.session = {
+            startedAt: Date.now(),
+            endedAt: null,
+            endReason: null,
+            minutes: Math.max(0, Number(minutes) || 0),
+            videos: Math.max(0, Math.floor(Number(videos) || 0)),
+            startScrolls: statsManager.getGlobalStats().totalScrolls
+        };
+
+        if (this.session.minutes > 0) {
+            this._sessionTimer = setTimeout(() => this._endSession('time'), this.session.minutes * 60000);
+        }
+
+        this._setPaused(false);
+        backgroundClient.reportSession(this.getSession());
+        logger.info(`Session started: ${this.session.minutes || '∞'} min, ${this.session.videos || '∞'} videos`);
+
+        return this.getSession();
+    }
+
+    /**
+     * Cancel the current session without pausing
+     */
+    stopSession() {
+        clearTimeout(this._sessionTimer);
+        this._sessionTimer = null;
+
+        if (this.session) {
+            this.session = null;
+            backgroundClient.reportSession(null);
+            logger.info('Session stopped');
+        }
+    }
+
+    /**
+     * Get the session progress, including remaining time and videos
+     */
+    getSession() {
+        if (!this.session) {
+            return { active: false };
+        }
+
+        const { startedAt, endedAt, endReason, minutes, videos, startScrolls } = this.session;
+        const elapsedMs = (endedAt || Date.now()) - startedAt;
+        const videosScrolled = Math.max(0, statsManager.getGlobalStats().totalScrolls - startScrolls);
+
+        return {
+            active: endReason === null,
+            endReason,
+            startedAt,
+            minutes,
+            videos,
+            elapsedMs,
+            remainingMs: minutes > 0 ? Math.max(0, minutes * 60000 - elapsedMs) : null,
+            videosScrolled,
+            remainingVideos: videos > 0 ? Math.max(0, videos - videosScrolled) : null
+        };
+    }
+
+    /**
+     * End the session once its video target is reached
+     */
+    _checkSessionTarget() {
+        const session = this.getSession();
+        if (session.active && session.remainingVideos === 0) {
+            this._endSession('videos');
+        }
+    }
+
+    /**
+     * Mark the session finished and pause auto-scroll
+     */
+    _endSession(reason) {
+        if (!this.session || this.session.endReason) return;
+
+        clearTimeout(this._sessionTimer);
+        this._sessionTimer = null;
+
+        this.session.endReason = reason;
+        this.session.endedAt = Date.now();
+        this._setPaused(true);
+        backgroundClient.reportSession(this.getSession());
+
+        logger.info(`Session finished (${reason} target reached), auto-scroll paused`);
+        this._sendStatsUpdate();
+    }
+
     /**
      * Manual scroll to next video
      */
@@ -493,6 +1023,24 @@ class Controller {
         await this._performScroll();
     }
 
+    /**
+     * Add the current video's creator to the block list and move on
+     */
+    async blockCurrentCreator() {
+        const creator = this.currentVideo && this.adapter?.getCreator(this.currentVideo);
+        if (!creator) {
+            logger.warn('Could not find the creator of the current video');
+            return { success: false, reason: 'creator_not_found' };
+        }
+
+        const saved = await settingsManager.blockCreator(this.state.siteName, creator);
+        if (saved) {
+            logger.info(`Blocked creator: ${creator}`);
+            await this.scrollNext();
+        }
+        return { success: saved, creator };
+    }
+
     /**
      * Manual scroll to previous video
      */
@@ -504,6 +1052,12 @@ class Controller {
         if (result.success) {
             logger.info('Scrolled to previous video');
 
+            // Exempt by id, so re-attaching after the feed updates the URL still finds it
+            const revisitId = this._leftVideoIds.pop();
+            if (revisitId) {
+                this._revisitIds.add(revisitId);
+            }
+
             await this._delay(300);
             const newVideo = this.adapter.findActiveVideo();
             if (newVideo) {
@@ -512,6 +1066,74 @@ class Controller {
         }
     }
 
+    /**
+     * Skip ahead by several videos; each one counts as a manual scroll
+     */
+    async skipAhead(count = 3) {
+        if (!this.adapter) return;
+
+        logger.info(`Skipping ahead ${count} videos`);
+        for (let i = 0; i < count; i++) {
+            if (!(await this._performScroll())) break;
+        }
+    }
+
+    // ==================== Playback Actions ====================
+    // Delegated to the adapter, which knows each platform's own controls
+
+    /**
+     * Restart the current video
+     */
+    replay() {
+        if (!this.adapter || !this.currentVideo) return;
+
+        if (this.adapter.replay(this.currentVideo, scrollManager)) {
+            // Jumping back to the start must not count as a loop
+            this.endDetector.reset();
+            logger.info('Replaying video');
+        }
+    }
+
+    /**
+     * Mute or unmute the current video
+     */
+    toggleMute() {
+        if (!this.adapter || !this.currentVideo) return;
+
+        if (this.adapter.toggleMute(this.currentVideo, scrollManager)) {
+            logger.info(`Video ${this.currentVideo.muted ? 'muted' : 'unmuted'}`);
+        }
+    }
+
+    /**
+     * Speed the current video up or down, within PLAYBACK_RATE_LIMITS
+     */
+    changePlaybackRate(delta) {
+        if (!this.adapter || !this.currentVideo) return;
+
+        const { min, max } = PLAYBACK_RATE_LIMITS;
+        const rate = Math.min(max, Math.max(min, Math.round((this.currentVideo.playbackRate + delta) * 100) / 100));
+
+        if (this.adapter.setPlaybackRate(this.currentVideo, rate)) {
+            // Keep the speed for the next videos too
+            this._playbackRate = rate;
+            logger.info(`Playback rate: ${rate}x`);
+        }
+    }
+
+    /**
+     * Like the current video with the platform's like control
+     */
+    likeCurrentVideo() {
+        if (!this.adapter || !this.currentVideo) return;
+
+        if (this.adapter.like(this.currentVideo, scrollManager)) {
+            logger.info('Liked video');
+        } else {
+            logger.warn(`Could not like the video on ${this.state.siteName}`);
+        }
+    }
+
     /**
      * Update state
      */
@@ -529,6 +1151,7 @@ class Controller {
         }
 
         this.endDetector.detach();
+        this._stopWatchingProgress();
         this.currentVideo = null;
         this._scrollPending = false;
 
@@ -545,6 +1168,8 @@ class Controller {
 
             safetyController.cleanup();
             hotkeyManager.cleanup();
+            backgroundClient.cleanup();
+            breakOverlay.hide();
         }
 
         logger.debug('Controller cleaned up');
@@ -13,8 +13,11 @@ class EndDetector {
         this.lastKnownTime = 0;
         this.wasNearEnd = false;
         this.triggered = false;
+        this.loopCount = 0;           // Plays of the attached video that reached the end
+        this._awaitingRestart = false;
         this.options = {
             epsilon: 0.5,         // Seconds before end to consider "near end"
+            endThreshold: 0.15,   // Seconds before end that count as ended
             loopThreshold: 2,     // Seconds to detect loop jump
             minDuration: 1        // Minimum video duration to process
         };
@@ -44,6 +47,8 @@ class EndDetector {
         this.lastKnownTime = video.currentTime || 0;
         this.wasNearEnd = false;
         this.triggered = false;
+        this.loopCount = 0;
+        this._awaitingRestart = false;
 
         // Method 1: Native 'ended' event
         this.boundHandlers.ended = () => this._handleEnded();
@@ -77,7 +82,8 @@ class EndDetector {
     _handleEnded() {
         if (this.triggered) return;
         logger.debug('EndDetector: Native ended event fired');
-        this._triggerEnd('ended_event');
+        // After resume() this play was already counted when it neared the end
+        this._triggerEnd('ended_event', !this._awaitingRestart);
     }
 
     /**
@@ -95,10 +101,20 @@ class EndDetector {
         }
 
         const timeRemaining = duration - currentTime;
+        const loopThreshold = this._scaleToRate(this.options.loopThreshold);
+
+        // After resume(), ignore the end that was just counted until playback starts over
+        if (this._awaitingRestart) {
+            if (currentTime < loopThreshold) {
+                this._awaitingRestart = false;
+            }
+            this.lastKnownTime = currentTime;
+            return;
+        }
 
         // Loop detection: Video jumped from near-end back to start
-        if (currentTime < this.options.loopThreshold &&
-            this.lastKnownTime > duration - this.options.loopThreshold &&
+        if (currentTime < loopThreshold &&
+            this.lastKnownTime > duration - loopThreshold &&
             this.wasNearEnd) {
             logger.debug('EndDetector: Loop detected', {
                 lastKnownTime: this.lastKnownTime,
@@ -111,11 +127,11 @@ class EndDetector {
         }
 
         // Near-end detection
-        if (timeRemaining < this.options.epsilon) {
+        if (timeRemaining < this._scaleToRate(this.options.epsilon)) {
             this.wasNearEnd = true;
 
             // Very close to end threshold
-            if (timeRemaining < 0.15) {
+            if (timeRemaining < this._scaleToRate(this.options.endThreshold)) {
                 logger.debug('EndDetector: Threshold reached', {
                     currentTime,
                     duration,
@@ -129,6 +145,16 @@ class EndDetector {
         this.lastKnownTime = currentTime;
     }
 
+    /**
+     * Widen a window in media seconds for faster playback. timeupdate fires at a
+     * roughly fixed wall-clock interval, so at 2x each update advances twice as
+     * far and could step over a window sized for 1x.
+     */
+    _scaleToRate(seconds) {
+        const rate = this.video?.playbackRate;
+        return seconds * (rate > 1 ? rate : 1);
+    }
+
     /**
      * Handle pause event (can indicate end on some platforms)
      */
@@ -139,9 +165,9 @@ class EndDetector {
         // Check if paused at the very end
         if (video.duration && isFinite(video.duration)) {
             const timeRemaining = video.duration - video.currentTime;
-            if (timeRemaining < 0.5 && video.ended) {
+            if (timeRemaining < this._scaleToRate(this.options.epsilon) && video.ended) {
                 logger.debug('EndDetector: Pause at end detected');
-                this._triggerEnd('pause_at_end');
+                this._triggerEnd('pause_at_end', !this._awaitingRestart);
             }
         }
     }
@@ -172,10 +198,16 @@ class EndDetector {
 
     /**
      * Trigger end callback
+     * @param {string} reason
+     * @param {boolean} countsAsPlay - False when this play's end was already counted
      */
-    _triggerEnd(reason) {
+    _triggerEnd(reason, countsAsPlay = true) {
         if (this.triggered) return;
         this.triggered = true;
+        this._awaitingRestart = false;
+        if (countsAsPlay) {
+            this.loopCount++;
+        }
 
         logger.info(`Video ended: ${reason}`);
 
@@ -184,17 +216,31 @@ class EndDetector {
                 reason,
                 video: this.video,
                 duration: this.video?.duration,
-                currentTime: this.video?.currentTime
+                currentTime: this.video?.currentTime,
+                loopCount: this.loopCount
             });
         }
     }
 
+    /**
+     * Keep watching the same video after an end that didn't complete the
+     * watch target. Detection resumes once playback has started over.
+     */
+    resume() {
+        this.triggered = false;
+        this.wasNearEnd = false;
+        this._awaitingRestart = true;
+        logger.debug(`EndDetector resumed after play ${this.loopCount}`);
+    }
+
     /**
      * Reset the triggered state (call after scroll to allow next detection)
      */
     reset() {
         this.triggered = false;
         this.wasNearEnd = false;
+        this.loopCount = 0;
+        this._awaitingRestart = false;
         this.lastKnownTime = this.video?.currentTime || 0;
         logger.debug('EndDetector reset');
     }
@@ -210,7 +256,8 @@ class EndDetector {
             currentTime: this.video.currentTime,
             paused: this.video.paused,
             ended: this.video.ended,
-            readyState: this.video.readyState
+            readyState: this.video.readyState,
+            loopCount: this.loopCount
         };
     }
 
@@ -240,6 +287,8 @@ class EndDetector {
         this.lastKnownTime = 0;
         this.wasNearEnd = false;
         this.triggered = false;
+        this.loopCount = 0;
+        this._awaitingRestart = false;
 
         logger.debug('EndDetector detached');
     }
@@ -1,26 +1,210 @@
 /**
  * Hotkey Manager - Handles keyboard shortcuts for the extension
+ *
+ * Bindings are strings such as "Space", "Ctrl+Shift+J" or "Alt+ArrowDown":
+ * modifiers joined with "+" followed by one key. "Mod" means Ctrl or ⌘, and
+ * an empty binding disables the action.
  */
 
 import { logger } from './Logger.js';
+import { SITE_SHORTCUTS, SITE_NAMES } from '../storage/defaults.js';
+
+// Settings key -> callback, matched in this order
+const ACTIONS = {
+    togglePause: 'onTogglePause',
+    scrollNext: 'onScrollNext',
+    scrollPrev: 'onScrollPrev',
+    replay: 'onReplay',
+    skipAhead: 'onSkipAhead',
+    toggleMute: 'onToggleMute',
+    speedUp: 'onSpeedUp',
+    speedDown: 'onSpeedDown',
+    like: 'onLike'
+};
+
+const MODIFIER_ALIASES = {
+    mod: 'mod',
+    ctrl: 'ctrl',
+    control: 'ctrl',
+    alt: 'alt',
+    option: 'alt',
+    shift: 'shift',
+    meta: 'meta',
+    cmd: 'meta',
+    command: 'meta'
+};
+
+// Binding prefix for each modifier, in the order bindingFromEvent() writes them
+const MODIFIER_NAMES = {
+    mod: 'Mod',
+    ctrl: 'Ctrl',
+    alt: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta'
+};
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'OS', 'AltGraph'];
+
+/**
+ * Canonical name of a key: "Space" for the space bar, upper case for single characters
+ */
+function normalizeKey(key) {
+    if (key === ' ' || key === 'Spacebar' || key.toLowerCase() === 'space') return 'Space';
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Letter or digit printed on the physical key, so Alt and non-Latin layouts still match
+ */
+function keyFromCode(code) {
+    const match = /^(?:Key([A-Z])|Digit(\d))$/.exec(code || '');
+    return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parse a binding string
+ * @returns {{mod: boolean, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean, key: string}|null}
+ *          null if the binding is empty (action disabled) or malformed
+ */
+export function parseBinding(binding) {
+    if (typeof binding !== 'string' || binding === '') return null;
+    if (binding === ' ') return parseBinding('Space');
+
+    const parts = binding.split('+').map(part => part.trim());
+    // A trailing "+" is the plus key itself, as in "Ctrl++"
+    if (binding.endsWith('+')) {
+        parts.splice(-2, 2, '+');
+    }
+
+    const parsed = { mod: false, ctrl: false, alt: false, shift: false, meta: false, key: null };
+
+    for (const part of parts.slice(0, -1)) {
+        const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+        if (!modifier) return null;
+        parsed[modifier] = true;
+    }
+
+    const key = parts[parts.length - 1];
+    if (!key) return null;
+
+    parsed.key = normalizeKey(key);
+    return parsed;
+}
+
+/**
+ * Build a binding string from a keydown event, or null for a lone modifier
+ */
+export function bindingFromEvent(event) {
+    if (MODIFIER_KEYS.includes(event.key)) return null;
+
+    const key = normalizeKey(event.key);
+    const parts = Object.keys(MODIFIER_NAMES)
+        .filter(modifier => modifier !== 'mod' && event[`${modifier}Key`])
+        .map(modifier => MODIFIER_NAMES[modifier]);
+
+    parts.push(/^[A-Z0-9]$/.test(key) ? key : keyFromCode(event.code) || key);
+    return parts.join('+');
+}
+
+/**
+ * Check whether a keydown event matches a binding
+ * @param {KeyboardEvent} event
+ * @param {string|Object} binding - Binding string or parseBinding() result
+ */
+export function matchesBinding(event, binding) {
+    const parsed = typeof binding === 'string' ? parseBinding(binding) : binding;
+    if (!parsed) return false;
+
+    if (normalizeKey(event.key) !== parsed.key && keyFromCode(event.code) !== parsed.key) {
+        return false;
+    }
+
+    const ctrlMeta = parsed.mod
+        ? (event.ctrlKey || event.metaKey) && (!parsed.ctrl || event.ctrlKey) && (!parsed.meta || event.metaKey)
+        : event.ctrlKey === parsed.ctrl && event.metaKey === parsed.meta;
+
+    // Symbols such as "?" already imply whatever Shift state typed them
+    const shiftImplied = !parsed.shift && parsed.key.length === 1 && !/[A-Z0-9]/.test(parsed.key);
+
+    return ctrlMeta &&
+        event.altKey === parsed.alt &&
+        (event.shiftKey === parsed.shift || shiftImplied);
+}
+
+/**
+ * Concrete modifier sets a binding can be pressed with ("Mod" is Ctrl or ⌘)
+ */
+function expandBinding(parsed) {
+    const base = { ...parsed, mod: false };
+    return parsed.mod ? [{ ...base, ctrl: true }, { ...base, meta: true }] : [base];
+}
+
+/**
+ * Check whether two parsed bindings can be triggered by the same key press
+ */
+function bindingsOverlap(a, b) {
+    return expandBinding(a).some(x => expandBinding(b).some(y =>
+        x.key === y.key &&
+        x.ctrl === y.ctrl &&
+        x.alt === y.alt &&
+        x.shift === y.shift &&
+        x.meta === y.meta
+    ));
+}
+
+/**
+ * Find the site shortcuts a binding would also trigger
+ * @param {string} binding
+ * @param {string[]} [siteNames] - Sites to check, all by default
+ * @returns {Array<{siteName: string, shortcut: string, description: string}>}
+ */
+export function findConflicts(binding, siteNames = Object.keys(SITE_SHORTCUTS)) {
+    const parsed = parseBinding(binding);
+    if (!parsed) return [];
+
+    const conflicts = [];
+    for (const siteName of siteNames) {
+        for (const [shortcut, description] of Object.entries(SITE_SHORTCUTS[siteName] || {})) {
+            if (bindingsOverlap(parsed, parseBinding(shortcut))) {
+                conflicts.push({ siteName, shortcut, description });
+            }
+        }
+    }
+    return conflicts;
+}
 
 class HotkeyManager {
     constructor() {
         this.options = {
             enabled: true,
             togglePause: 'Space',
-            scrollNext: 'ArrowDown',
-            scrollPrev: 'ArrowUp'
+            scrollNext: 'Mod+ArrowDown',
+            scrollPrev: 'Mod+ArrowUp',
+            replay: 'Alt+R',
+            skipAhead: 'Alt+N',
+            toggleMute: 'Alt+M',
+            speedUp: 'Alt+ArrowUp',
+            speedDown: 'Alt+ArrowDown',
+            like: 'Alt+L'
         };
 
         this.callbacks = {
             onTogglePause: null,
             onScrollNext: null,
-            onScrollPrev: null
+            onScrollPrev: null,
+            onReplay: null,
+            onSkipAhead: null,
+            onToggleMute: null,
+            onSpeedUp: null,
+            onSpeedDown: null,
+            onLike: null
         };
 
+        this._bindings = {};
         this._boundHandler = null;
         this._active = false;
+
+        this._parseBindings();
     }
 
     /**
@@ -28,6 +212,25 @@ class HotkeyManager {
      */
     configure(options = {}) {
         this.options = { ...this.options, ...options };
+        this._parseBindings();
+    }
+
+    /**
+     * Parse the binding of every action; disabled and malformed ones are skipped
+     */
+    _parseBindings() {
+        this._bindings = {};
+
+        for (const action of Object.keys(ACTIONS)) {
+            const binding = this.options[action];
+            const parsed = parseBinding(binding);
+
+            if (parsed) {
+                this._bindings[action] = parsed;
+            } else if (binding) {
+                logger.warn(`Invalid hotkey for ${action}: "${binding}"`);
+            }
+        }
     }
 
     /**
@@ -61,38 +264,19 @@ class HotkeyManager {
             return;
         }
 
-        const key = event.key;
+        for (const [action, callbackName] of Object.entries(ACTIONS)) {
+            const binding = this._bindings[action];
+            if (!binding || !matchesBinding(event, binding)) continue;
 
-        // Toggle pause/resume
-        if (key === this.options.togglePause) {
-            // Only handle Space if not in a focusable button context
-            if (key === 'Space' && this._isButtonContext(event.target)) {
+            // Space activates focused buttons and links; leave it to them
+            if (binding.key === 'Space' && this._isButtonContext(event.target)) {
                 return;
             }
-            event.preventDefault();
-            logger.debug('Hotkey: Toggle pause');
-            if (this.callbacks.onTogglePause) {
-                this.callbacks.onTogglePause();
-            }
-            return;
-        }
-
-        // Scroll next (when Ctrl/Cmd is held)
-        if (key === this.options.scrollNext && (event.ctrlKey || event.metaKey)) {
-            event.preventDefault();
-            logger.debug('Hotkey: Scroll next');
-            if (this.callbacks.onScrollNext) {
-                this.callbacks.onScrollNext();
-            }
-            return;
-        }
 
-        // Scroll previous (when Ctrl/Cmd is held)
-        if (key === this.options.scrollPrev && (event.ctrlKey || event.metaKey)) {
             event.preventDefault();
-            logger.debug('Hotkey: Scroll previous');
-            if (this.callbacks.onScrollPrev) {
-                this.callbacks.onScrollPrev();
+            logger.debug(`Hotkey: ${action}`);
+            if (this.callbacks[callbackName]) {
+                this.callbacks[callbackName]();
             }
             return;
         }
@@ -138,6 +322,24 @@ class HotkeyManager {
             target.closest('[role="button"]') !== null;
     }
 
+    /**
+     * Log bindings that also trigger one of the site's own shortcuts
+     * @returns {Array} Conflicts as { action, binding, description }
+     */
+    reportConflicts(siteName) {
+        const conflicts = [];
+
+        for (const action of Object.keys(this._bindings)) {
+            const binding = this.options[action];
+            for (const { description } of findConflicts(binding, [siteName])) {
+                conflicts.push({ action, binding, description });
+                logger.warn(`Hotkey ${binding} (${action}) also triggers ${SITE_NAMES[siteName]}: ${description}`);
+            }
+        }
+
+        return conflicts;
+    }
+
     /**
      * Enable hotkeys
      */
@@ -169,12 +371,13 @@ class HotkeyManager {
     }
 
     /**
-     * Update a specific hotkey
+     * Update a specific hotkey; an empty binding disables the action
      */
-    setHotkey(action, key) {
-        if (action in this.options && action !== 'enabled') {
-            this.options[action] = key;
-            logger.debug(`Hotkey updated: ${action} = ${key}`);
+    setHotkey(action, binding) {
+        if (action in ACTIONS) {
+            this.options[action] = binding;
+            this._parseBindings();
+            logger.debug(`Hotkey updated: ${action} = ${binding || '(disabled)'}`);
         }
     }
 
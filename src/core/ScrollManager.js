@@ -235,7 +235,9 @@ class ScrollManager {
             'Space': 32,
             'Enter': 13,
             'j': 74,
-            'k': 75
+            'k': 75,
+            'l': 76,
+            'm': 77
         };
         return codes[key] || 0;
     }
@@ -0,0 +1,15 @@
+/**
+ * Content Script Entry - Registers platform adapters and starts the controller
+ * Loaded as an ES module by the content.js loader
+ */
+
+import { logger } from './core/Logger.js';
+import { siteDetector } from './core/SiteDetector.js';
+import { controller } from './core/Controller.js';
+import { ALL_ADAPTERS } from './adapters/index.js';
+
+siteDetector.registerAdapters(ALL_ADAPTERS);
+
+controller.initialize().catch((error) => {
+    logger.error('Controller failed to initialize:', error);
+});
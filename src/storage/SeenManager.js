@@ -0,0 +1,145 @@
+/**
+ * Seen Manager - Remembers videos watched to the end, so re-served ones can be skipped
+ * Entries are keyed by site and the platform's video id, and expire after SEEN_TTL_MS
+ */
+
+import { logger } from '../core/Logger.js';
+
+// chrome.storage.local key
+const STORAGE_KEY = 'seenVideos';
+
+// Longest "watched within" window the skipRules allow
+const SEEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Oldest entries are dropped once the set grows past this
+const MAX_SEEN_ENTRIES = 5000;
+
+class SeenManager {
+    constructor() {
+        // "<site>:<video id>" -> time it was last watched to the end
+        this.seen = {};
+        this._initialized = false;
+    }
+
+    /**
+     * Load the seen set from storage, dropping expired entries
+     */
+    async initialize() {
+        if (this._initialized) return this.seen;
+
+        try {
+            const stored = await this._loadFromStorage();
+            this.seen = this._prune(stored[STORAGE_KEY] || {});
+            this._setupStorageListener();
+            this._initialized = true;
+            logger.debug(`Seen videos loaded: ${Object.keys(this.seen).length}`);
+        } catch (error) {
+            logger.error('Failed to initialize seen videos:', error);
+        }
+        return this.seen;
+    }
+
+    /**
+     * Load the seen set from storage
+     */
+    _loadFromStorage() {
+        return new Promise((resolve) => {
+            if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+                chrome.storage.local.get([STORAGE_KEY], (result) => {
+                    resolve(result || {});
+                });
+            } else {
+                resolve({});
+            }
+        });
+    }
+
+    /**
+     * Keep the set in sync with videos watched in other tabs
+     */
+    _setupStorageListener() {
+        if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[STORAGE_KEY]) {
+                    this.seen = changes[STORAGE_KEY].newValue || {};
+                }
+            });
+        }
+    }
+
+    /**
+     * Save the seen set to storage
+     */
+    async _saveToStorage() {
+        return new Promise((resolve) => {
+            if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+                chrome.storage.local.set({ [STORAGE_KEY]: this.seen }, () => {
+                    resolve();
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Drop expired entries, then the oldest beyond MAX_SEEN_ENTRIES
+     */
+    _prune(seen, now = Date.now()) {
+        const entries = Object.entries(seen)
+            .filter(([, timestamp]) => now - timestamp < SEEN_TTL_MS)
+            .sort((a, b) => a[1] - b[1]);
+
+        return Object.fromEntries(entries.slice(-MAX_SEEN_ENTRIES));
+    }
+
+    /**
+     * Record that a video was watched to the end
+     * @param {string} siteName
+     * @param {string} videoId - The adapter's id for the video
+     */
+    async markSeen(siteName, videoId) {
+        if (!videoId) return;
+
+        this.seen[`${siteName}:${videoId}`] = Date.now();
+        // Expired entries are dropped on load; only sort when the set outgrows its limit
+        if (Object.keys(this.seen).length > MAX_SEEN_ENTRIES) {
+            this.seen = this._prune(this.seen);
+        }
+        await this._saveToStorage();
+    }
+
+    /**
+     * Check if a video was watched to the end within the last `days` days
+     * @param {string} siteName
+     * @param {string} videoId
+     * @param {number} days
+     * @returns {boolean}
+     */
+    hasSeen(siteName, videoId, days) {
+        if (!videoId) return false;
+
+        const timestamp = this.seen[`${siteName}:${videoId}`];
+        return timestamp !== undefined && Date.now() - timestamp < days * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Number of videos currently remembered
+     */
+    getCount() {
+        return Object.keys(this.seen).length;
+    }
+
+    /**
+     * Forget every seen video
+     */
+    async clear() {
+        this.seen = {};
+        await this._saveToStorage();
+        logger.debug('Seen videos cleared');
+    }
+}
+
+// Singleton instance
+export const seenManager = new SeenManager();
+export default seenManager;
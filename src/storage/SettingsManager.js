@@ -2,13 +2,111 @@
  * Settings Manager - Handles loading, saving, and syncing settings
  */
 
-import { DEFAULT_SETTINGS } from './defaults.js';
+import {
+    DEFAULT_SETTINGS,
+    SETTINGS_SCHEMA,
+    SETTINGS_SCHEMA_VERSION,
+    SITE_OVERRIDABLE_KEYS,
+    SKIP_LISTS
+} from './defaults.js';
 import { logger } from '../core/Logger.js';
 
+/**
+ * Check if a text contains a keyword or phrase as whole words, ignoring case;
+ * letters, digits and "_" next to it mean it is only part of a word
+ * @param {string} text
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+function containsKeyword(text, keyword) {
+    const pattern = keyword.trim()
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${pattern}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+}
+
+/**
+ * Apply a hotkeys upgrade to the global bindings and to every profile's
+ * @param {Object} stored - Stored settings
+ * @param {Function} upgradeHotkeys - Called with a hotkeys object, returns the upgraded copy
+ * @returns {Object} Upgraded copy of the settings
+ */
+function upgradeAllHotkeys(stored, upgradeHotkeys) {
+    const upgrade = (hotkeys) => (hotkeys && typeof hotkeys === 'object' ? upgradeHotkeys({ ...hotkeys }) : hotkeys);
+
+    const settings = { ...stored };
+    if (settings.hotkeys) {
+        settings.hotkeys = upgrade(settings.hotkeys);
+    }
+
+    if (settings.profiles && typeof settings.profiles === 'object') {
+        settings.profiles = Object.fromEntries(Object.entries(settings.profiles).map(([id, profile]) => [
+            id,
+            profile?.settings?.hotkeys
+                ? { ...profile, settings: { ...profile.settings, hotkeys: upgrade(profile.settings.hotkeys) } }
+                : profile
+        ]));
+    }
+
+    return settings;
+}
+
+/**
+ * Schema migrations keyed by the version they upgrade to.
+ * Each receives the stored object and returns { settings, removedKeys }.
+ * Version 1 is the flat Instagram-only shape that had no schemaVersion.
+ */
+const MIGRATIONS = {
+    2: (stored) => {
+        const { enabled, ...rest } = stored;
+        const settings = { ...rest };
+
+        if (typeof enabled === 'boolean' && settings.globalEnabled === undefined) {
+            settings.globalEnabled = enabled;
+        }
+
+        return {
+            settings,
+            removedKeys: enabled !== undefined ? ['enabled'] : []
+        };
+    },
+
+    // Bindings carry their own modifiers; bare next/previous keys used to imply Ctrl/Cmd
+    3: (stored) => {
+        const settings = upgradeAllHotkeys(stored, (hotkeys) => {
+            if (hotkeys.togglePause === ' ') {
+                hotkeys.togglePause = 'Space';
+            }
+            for (const action of ['scrollNext', 'scrollPrev']) {
+                const binding = hotkeys[action];
+                if (typeof binding === 'string' && binding && !binding.slice(0, -1).includes('+')) {
+                    hotkeys[action] = `Mod+${binding}`;
+                }
+            }
+            return hotkeys;
+        });
+
+        return { settings, removedKeys: [] };
+    },
+
+    // The old default pause key, Space, also pauses videos or pages down on most sites
+    4: (stored) => {
+        const settings = upgradeAllHotkeys(stored, (hotkeys) => {
+            if (hotkeys.togglePause === 'Space') {
+                hotkeys.togglePause = 'Alt+P';
+            }
+            return hotkeys;
+        });
+
+        return { settings, removedKeys: [] };
+    }
+};
+
 class SettingsManager {
     constructor() {
         this.settings = { ...DEFAULT_SETTINGS };
         this.listeners = new Set();
+        this.activeSite = null;
         this._initialized = false;
     }
 
@@ -19,8 +117,10 @@ class SettingsManager {
         if (this._initialized) return this.settings;
 
         try {
-            const stored = await this._loadFromStorage();
-            this.settings = this._mergeSettings(DEFAULT_SETTINGS, stored);
+            const stored = await this._migrate(await this._loadFromStorage());
+            const { settings, fixed } = this.validate(this._mergeSettings(DEFAULT_SETTINGS, stored));
+            this._reportFixes(fixed, 'storage');
+            this.settings = settings;
             this._setupChangeListener();
             this._initialized = true;
             logger.debug('Settings initialized:', this.settings);
@@ -46,16 +146,104 @@ class SettingsManager {
         });
     }
 
+    /**
+     * Upgrade stored settings to the current schema version and persist the result
+     */
+    async _migrate(stored) {
+        const fromVersion = stored.schemaVersion || 1;
+        if (fromVersion >= SETTINGS_SCHEMA_VERSION) return stored;
+
+        const { settings: migrated, removedKeys } = this._applyMigrations(stored);
+
+        try {
+            await this._writeToStorage(migrated);
+            await this._removeFromStorage(removedKeys);
+            logger.info(`Settings migrated from schema v${fromVersion} to v${SETTINGS_SCHEMA_VERSION}`);
+        } catch (error) {
+            logger.error('Failed to persist migrated settings:', error);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Run every migration newer than the object's schemaVersion (no storage access)
+     * @returns {{settings: Object, removedKeys: string[]}}
+     */
+    _applyMigrations(stored) {
+        const fromVersion = stored.schemaVersion || 1;
+        let migrated = { ...stored };
+        const removedKeys = new Set();
+
+        for (let version = fromVersion + 1; version <= SETTINGS_SCHEMA_VERSION; version++) {
+            const migration = MIGRATIONS[version];
+            if (!migration) continue;
+
+            const result = migration(migrated);
+            migrated = result.settings;
+            result.removedKeys.forEach(key => removedKeys.add(key));
+        }
+
+        migrated.schemaVersion = SETTINGS_SCHEMA_VERSION;
+        return { settings: migrated, removedKeys: [...removedKeys] };
+    }
+
+    /**
+     * Write values to chrome.storage.sync
+     */
+    _writeToStorage(values) {
+        return new Promise((resolve, reject) => {
+            if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
+                chrome.storage.sync.set(values, () => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Remove keys from chrome.storage.sync
+     */
+    _removeFromStorage(keys) {
+        return new Promise((resolve, reject) => {
+            if (keys.length === 0) {
+                resolve();
+                return;
+            }
+
+            if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
+                chrome.storage.sync.remove(keys, () => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+
     /**
      * Deep merge settings with defaults
      */
-    _mergeSettings(defaults, stored) {
+    _mergeSettings(defaults, stored, schema = SETTINGS_SCHEMA) {
         const merged = { ...defaults };
 
         for (const key in stored) {
             if (stored[key] !== undefined) {
-                if (typeof defaults[key] === 'object' && defaults[key] !== null && !Array.isArray(defaults[key])) {
-                    merged[key] = this._mergeSettings(defaults[key], stored[key]);
+                // Maps such as profiles replace the default entries so deletions stick
+                if (schema?.[key]?.values) {
+                    merged[key] = stored[key];
+                } else if (typeof defaults[key] === 'object' && defaults[key] !== null && !Array.isArray(defaults[key])) {
+                    merged[key] = this._mergeSettings(defaults[key], stored[key], schema?.[key]?.properties);
                 } else {
                     merged[key] = stored[key];
                 }
@@ -82,18 +270,163 @@ class SettingsManager {
      * Handle storage changes
      */
     _handleChanges(changes) {
+        const validatedChanges = {};
         let hasChanges = false;
 
         for (const key in changes) {
             if (changes[key].newValue !== undefined) {
-                this._setNestedValue(this.settings, key, changes[key].newValue);
+                const { settings, fixed } = this.validate({ [key]: changes[key].newValue });
+                this._reportFixes(fixed, 'sync');
+
+                this._setNestedValue(this.settings, key, settings[key]);
+                validatedChanges[key] = { ...changes[key], newValue: settings[key] };
                 hasChanges = true;
-                logger.debug(`Setting changed: ${key}`, changes[key].newValue);
+                logger.debug(`Setting changed: ${key}`, settings[key]);
             }
         }
 
         if (hasChanges) {
-            this._notifyListeners(changes);
+            this._notifyListeners(validatedChanges);
+        }
+    }
+
+    /**
+     * Validate settings against SETTINGS_SCHEMA.
+     * Out-of-range numbers are clamped; values of the wrong type or outside an
+     * enum are replaced with the current value (or the default).
+     * Keys without a rule are passed through unchanged.
+     * @param {Object} values - Full or partial settings object
+     * @returns {{settings: Object, fixed: Array<{key: string, value: *, corrected: *, reason: string}>}}
+     */
+    validate(values) {
+        const fixed = [];
+        const settings = this._validateObject(values || {}, SETTINGS_SCHEMA, '', fixed);
+        return { settings, fixed };
+    }
+
+    /**
+     * Validate each key of an object against its property rules
+     */
+    _validateObject(values, properties, prefix, fixed) {
+        const result = {};
+
+        for (const key in values) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const rule = properties[key];
+
+            const value = rule
+                ? this._validateValue(values[key], rule, path, fixed)
+                : values[key];
+
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate every entry of a map against the same rule
+     */
+    _validateMap(values, rule, prefix, fixed) {
+        const result = {};
+
+        for (const key in values) {
+            const value = this._validateValue(values[key], rule, `${prefix}.${key}`, fixed);
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate a single value against its rule
+     */
+    _validateValue(value, rule, path, fixed) {
+        if (value === null && rule.nullable) return null;
+
+        switch (rule.type) {
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return this._rejectValue(value, path, 'expected object', fixed);
+                }
+                if (rule.values) {
+                    return this._validateMap(value, rule.values, path, fixed);
+                }
+                return this._validateObject(value, rule.properties || {}, path, fixed);
+
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    return this._rejectValue(value, path, 'expected boolean', fixed);
+                }
+                return value;
+
+            case 'string':
+                if (typeof value !== 'string') {
+                    return this._rejectValue(value, path, 'expected string', fixed);
+                }
+                if (rule.enum && !rule.enum.includes(value)) {
+                    return this._rejectValue(value, path, `expected one of ${rule.enum.join(', ')}`, fixed);
+                }
+                return value;
+
+            case 'number': {
+                // Numeric strings (e.g. from form inputs) are accepted as-is
+                const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+                if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+                    return this._rejectValue(value, path, 'expected number', fixed);
+                }
+
+                let number = parsed;
+                if (rule.integer) number = Math.round(number);
+                if (rule.min !== undefined) number = Math.max(rule.min, number);
+                if (rule.max !== undefined) number = Math.min(rule.max, number);
+
+                if (number !== parsed) {
+                    fixed.push({ key: path, value, corrected: number, reason: 'clamped to range' });
+                }
+                return number;
+            }
+
+            case 'array': {
+                if (!Array.isArray(value)) {
+                    return this._rejectValue(value, path, 'expected array', fixed);
+                }
+                if (!rule.items) return value;
+
+                const items = value.filter(item => typeof item === rule.items);
+                if (items.length !== value.length) {
+                    fixed.push({ key: path, value, corrected: items, reason: `expected ${rule.items} items` });
+                }
+                return items;
+            }
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Replace an invalid value with the current setting, falling back to the default
+     */
+    _rejectValue(value, path, reason, fixed) {
+        const current = this._getByPath(this.settings, path);
+        const corrected = current !== undefined ? current : this._getByPath(DEFAULT_SETTINGS, path);
+
+        fixed.push({ key: path, value, corrected, reason });
+        return corrected;
+    }
+
+    /**
+     * Log which keys were corrected by validation
+     */
+    _reportFixes(fixed, source) {
+        for (const fix of fixed) {
+            logger.warn(`Invalid setting "${fix.key}" from ${source} (${fix.reason}):`, fix.value, '->', fix.corrected);
         }
     }
 
@@ -122,17 +455,86 @@ class SettingsManager {
     }
 
     /**
-     * Get a specific setting value
+     * Set the site whose overrides get() should apply (null for global only)
+     */
+    setActiveSite(siteName) {
+        this.activeSite = siteName || null;
+    }
+
+    /**
+     * Get a specific setting value, resolved site -> profile -> global -> default
+     * for the active site
      */
     get(key, defaultValue = undefined) {
-        const keys = key.split('.');
-        let value = this.settings;
+        const value = this.getForSite(this.activeSite, key);
+        return value === undefined ? defaultValue : value;
+    }
 
-        for (const k of keys) {
+    /**
+     * Resolve a setting for a given site, layering the active profile over the
+     * global value and the site override over both.
+     * Object settings (e.g. safety) are merged key by key.
+     */
+    getForSite(siteName, key) {
+        const layers = [this.settings, this.getActiveProfile()?.settings];
+        if (siteName && this.isOverridable(key)) {
+            layers.push(this.settings.sites?.[siteName]);
+        }
+
+        let value;
+        for (const layer of layers) {
+            const layerValue = this._getByPath(layer, key);
+            if (layerValue === undefined) continue;
+
+            value = this._isPlainObject(value) && this._isPlainObject(layerValue)
+                ? this._mergeSettings(value, layerValue, null)
+                : layerValue;
+        }
+
+        return value;
+    }
+
+    /**
+     * Get only the values a site overrides
+     */
+    getSiteOverrides(siteName) {
+        const site = this.settings.sites?.[siteName] || {};
+        const overrides = {};
+
+        for (const key of SITE_OVERRIDABLE_KEYS) {
+            if (site[key] !== undefined) {
+                overrides[key] = site[key];
+            }
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Check if a setting key can be overridden per site
+     */
+    isOverridable(key) {
+        return SITE_OVERRIDABLE_KEYS.includes(key.split('.')[0]);
+    }
+
+    /**
+     * Check for a non-array object
+     */
+    _isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Read a nested value using dot notation
+     */
+    _getByPath(obj, path) {
+        let value = obj;
+
+        for (const k of path.split('.')) {
             if (value && typeof value === 'object' && k in value) {
                 value = value[k];
             } else {
-                return defaultValue;
+                return undefined;
             }
         }
 
@@ -144,21 +546,16 @@ class SettingsManager {
      */
     async save(newSettings) {
         try {
-            const toSave = { ...this.settings, ...newSettings };
-
-            await new Promise((resolve, reject) => {
-                if (typeof chrome !== 'undefined' && chrome.storage?.sync) {
-                    chrome.storage.sync.set(toSave, () => {
-                        if (chrome.runtime.lastError) {
-                            reject(chrome.runtime.lastError);
-                        } else {
-                            resolve();
-                        }
-                    });
-                } else {
-                    resolve();
-                }
-            });
+            const { settings: validated, fixed } = this.validate(newSettings);
+            this._reportFixes(fixed, 'save');
+
+            const toSave = {
+                ...this.settings,
+                ...validated,
+                schemaVersion: SETTINGS_SCHEMA_VERSION
+            };
+
+            await this._writeToStorage(toSave);
 
             this.settings = toSave;
             logger.debug('Settings saved:', toSave);
@@ -170,18 +567,260 @@ class SettingsManager {
     }
 
     /**
-     * Reset to default settings
+     * Build a serializable snapshot of the current settings for export
+     */
+    exportSettings() {
+        return {
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: this.getSettings()
+        };
+    }
+
+    /**
+     * Turn an exported snapshot (or a bare settings object) into a full,
+     * migrated and validated settings object. Keys unknown to DEFAULT_SETTINGS
+     * are dropped. Does not save anything.
+     * @returns {{settings: Object, fixed: Array}}
+     */
+    parseImport(data) {
+        if (!this._isPlainObject(data)) {
+            throw new Error('Settings file must contain a JSON object');
+        }
+
+        const imported = this._isPlainObject(data.settings)
+            ? { ...data.settings, schemaVersion: data.schemaVersion ?? data.settings.schemaVersion }
+            : data;
+
+        if ((imported.schemaVersion || 1) > SETTINGS_SCHEMA_VERSION) {
+            throw new Error(`Settings file uses schema v${imported.schemaVersion}, this version supports up to v${SETTINGS_SCHEMA_VERSION}`);
+        }
+
+        const { settings: migrated } = this._applyMigrations(imported);
+        const known = {};
+        for (const key in migrated) {
+            if (key in DEFAULT_SETTINGS) {
+                known[key] = migrated[key];
+            }
+        }
+
+        return this.validate(this._mergeSettings(DEFAULT_SETTINGS, known));
+    }
+
+    /**
+     * List the leaf values that differ between two settings objects
+     * @returns {Array<{key: string, from: *, to: *}>}
+     */
+    diff(from, to, prefix = '') {
+        const changes = [];
+        const keys = new Set([...Object.keys(from || {}), ...Object.keys(to || {})]);
+
+        for (const key of keys) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const before = from?.[key];
+            const after = to?.[key];
+
+            if (this._isPlainObject(before) || this._isPlainObject(after)) {
+                changes.push(...this.diff(
+                    this._isPlainObject(before) ? before : {},
+                    this._isPlainObject(after) ? after : {},
+                    path
+                ));
+            } else if (before !== after) {
+                changes.push({ key: path, from: before, to: after });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Reset to default settings, keeping saved profiles and skip lists
+     * (the active profile is turned off)
      */
     async reset() {
-        return this.save(DEFAULT_SETTINGS);
+        const kept = { profiles: this.settings.profiles };
+        for (const listKey of Object.keys(SKIP_LISTS)) {
+            kept[listKey] = this.settings[listKey];
+        }
+        return this.save({ ...DEFAULT_SETTINGS, ...kept });
     }
 
     /**
      * Check if a site is enabled
      */
     isSiteEnabled(siteName) {
-        return this.settings.globalEnabled &&
-            (this.settings.sites?.[siteName]?.enabled ?? true);
+        return this.get('globalEnabled', true) &&
+            this.get(`sites.${siteName}.enabled`, true);
+    }
+
+    /**
+     * Get a site's entries on a skip list
+     * @param {string} listKey - A SKIP_LISTS key such as 'blockedHashtags'
+     * @param {string} siteName
+     * @returns {string[]}
+     */
+    getSkipList(listKey, siteName) {
+        return this.settings[listKey]?.[siteName] || [];
+    }
+
+    /**
+     * Check if a value is on a site's skip list (case-insensitive)
+     */
+    isOnSkipList(listKey, siteName, value) {
+        const entry = this._normalizeSkipEntry(listKey, value);
+        if (!entry) return false;
+        return this.getSkipList(listKey, siteName).some(item => item.toLowerCase() === entry.toLowerCase());
+    }
+
+    /**
+     * Add a value to a site's skip list
+     */
+    async addToSkipList(listKey, siteName, value) {
+        const entry = this._normalizeSkipEntry(listKey, value);
+        if (!entry) return false;
+        if (this.isOnSkipList(listKey, siteName, entry)) return true;
+
+        const lists = { ...this.settings[listKey] };
+        lists[siteName] = [...(lists[siteName] || []), entry];
+        return this.save({ [listKey]: lists });
+    }
+
+    /**
+     * Remove a value from a site's skip list
+     */
+    async removeFromSkipList(listKey, siteName, value) {
+        const entry = (this._normalizeSkipEntry(listKey, value) || '').toLowerCase();
+        const lists = { ...this.settings[listKey] };
+        lists[siteName] = (lists[siteName] || [])
+            .filter(item => item.toLowerCase() !== entry);
+
+        if (lists[siteName].length === 0) {
+            delete lists[siteName];
+        }
+        return this.save({ [listKey]: lists });
+    }
+
+    /**
+     * Trim a skip list entry; handles drop a leading "@" and hashtags their "#"
+     */
+    _normalizeSkipEntry(listKey, value) {
+        if (typeof value !== 'string') return null;
+
+        let entry = value.trim();
+        if (listKey === 'blockedCreators') entry = entry.replace(/^@/, '');
+        if (listKey === 'blockedHashtags') entry = entry.replace(/^#/, '');
+        return entry || null;
+    }
+
+    /**
+     * Find the first skip list entry a video matches
+     * @param {string} siteName
+     * @param {Object} metadata - Adapter getVideoMetadata() result
+     * @returns {{reason: string, match: string}|null} reason is the SKIP_LISTS value
+     */
+    findSkipMatch(siteName, { author = null, caption = null, hashtags = [] } = {}) {
+        const text = caption || '';
+        const tags = hashtags.map(tag => tag.toLowerCase());
+        const matchers = {
+            blockedCreators: item => Boolean(author) && item.toLowerCase() === author.toLowerCase(),
+            blockedHashtags: item => tags.includes(item.toLowerCase()),
+            blockedKeywords: item => containsKeyword(text, item)
+        };
+
+        for (const [listKey, reason] of Object.entries(SKIP_LISTS)) {
+            const match = this.getSkipList(listKey, siteName).find(matchers[listKey]);
+            if (match) return { reason, match };
+        }
+        return null;
+    }
+
+    /**
+     * Check if a creator is on a site's block list (case-insensitive)
+     */
+    isCreatorBlocked(siteName, creator) {
+        return this.isOnSkipList('blockedCreators', siteName, creator);
+    }
+
+    /**
+     * Add a creator to a site's block list
+     */
+    async blockCreator(siteName, creator) {
+        return this.addToSkipList('blockedCreators', siteName, creator);
+    }
+
+    /**
+     * Remove a creator from a site's block list
+     */
+    async unblockCreator(siteName, creator) {
+        return this.removeFromSkipList('blockedCreators', siteName, creator);
+    }
+
+    /**
+     * Get all profiles keyed by id
+     */
+    getProfiles() {
+        return this.settings.profiles || {};
+    }
+
+    /**
+     * Get the active profile, or null when running on global settings only
+     */
+    getActiveProfile() {
+        const id = this.settings.activeProfile;
+        return (id && this.settings.profiles?.[id]) || null;
+    }
+
+    /**
+     * Switch the active profile (null for none). Other contexts pick the change
+     * up through storage.onChanged and their settings listeners.
+     */
+    async setActiveProfile(id) {
+        if (id !== null && !this.getProfiles()[id]) {
+            logger.warn(`Unknown profile: ${id}`);
+            return false;
+        }
+        return this.save({ activeProfile: id });
+    }
+
+    /**
+     * Create or update a profile from a full or partial settings object
+     * @returns {Promise<string|null>} The profile id, or null if saving failed
+     */
+    async saveProfile(name, settings, id = null) {
+        const profiles = { ...this.getProfiles() };
+        const profileId = id || this._createProfileId(name, profiles);
+
+        profiles[profileId] = { name, settings };
+        return (await this.save({ profiles })) ? profileId : null;
+    }
+
+    /**
+     * Delete a profile, deactivating it first if it is active
+     */
+    async deleteProfile(id) {
+        const { [id]: removed, ...profiles } = this.getProfiles();
+        if (!removed) return false;
+
+        const update = { profiles };
+        if (this.settings.activeProfile === id) {
+            update.activeProfile = null;
+        }
+        return this.save(update);
+    }
+
+    /**
+     * Derive a unique camelCase id from a profile name
+     */
+    _createProfileId(name, profiles) {
+        const words = name.toLowerCase().match(/[a-z0-9]+/g) || ['profile'];
+        const base = words.map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+
+        let id = base;
+        for (let n = 2; profiles[id]; n++) {
+            id = `${base}${n}`;
+        }
+        return id;
     }
 
     /**
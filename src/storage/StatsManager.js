@@ -4,6 +4,18 @@
 
 import { logger } from '../core/Logger.js';
 
+// Oldest entries are dropped once the history log grows past this
+const MAX_HISTORY_ENTRIES = 500;
+
+// Scrolls further apart than this count as separate viewing sessions
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Limit usage is counted per local hour, so the limit day can start at any resetHour
+const HOUR_MS = 60 * 60 * 1000;
+
+// Usage buckets older than this can't fall in the current limit day, even across DST changes
+const LIMIT_USAGE_RETENTION_MS = 48 * HOUR_MS;
+
 class StatsManager {
     constructor() {
         this.stats = {
@@ -14,6 +26,12 @@ class StatsManager {
             },
             sites: {}
         };
+        this.history = [];
+        // Hour start -> { videos, watchedTime: { site: seconds } }, for daily limits
+        this.limitUsage = {};
+        // Local date 'YYYY-MM-DD' -> { scrolls, watchedTime, sites: { site: { scrolls, watchedTime } } },
+        // kept for every day so the dashboard isn't limited to the capped history
+        this.dailyTotals = {};
         this._initialized = false;
     }
 
@@ -36,6 +54,22 @@ class StatsManager {
                     }
                 };
             }
+            if (Array.isArray(stored.history)) {
+                this.history = stored.history.slice(-MAX_HISTORY_ENTRIES);
+            }
+            if (stored.limitUsage) {
+                this.limitUsage = stored.limitUsage;
+            } else {
+                // Stored before limit usage was counted separately
+                this.history.forEach((entry) => this._countLimitUsage(entry));
+            }
+            if (stored.dailyTotals) {
+                this.dailyTotals = stored.dailyTotals;
+            } else {
+                // Stored before daily totals were kept; start them from the history there is
+                this.history.forEach((entry) => this._countDailyTotals(entry));
+            }
+            this._setupStorageListener();
             this._initialized = true;
             logger.debug('Stats initialized:', this.stats);
             return this.stats;
@@ -51,7 +85,7 @@ class StatsManager {
     _loadFromStorage() {
         return new Promise((resolve) => {
             if (typeof chrome !== 'undefined' && chrome.storage?.local) {
-                chrome.storage.local.get(['stats'], (result) => {
+                chrome.storage.local.get(['stats', 'history', 'limitUsage', 'dailyTotals'], (result) => {
                     resolve(result || {});
                 });
             } else {
@@ -61,12 +95,66 @@ class StatsManager {
     }
 
     /**
-     * Save stats to storage
+     * Keep stats, history, limit usage and daily totals in sync with scrolls recorded
+     * by other tabs, so totals and daily limits count every tab
+     */
+    _setupStorageListener() {
+        if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName !== 'local') return;
+                this._applyStored(Object.fromEntries(
+                    Object.entries(changes).map(([key, change]) => [key, change.newValue])
+                ));
+            });
+        }
+    }
+
+    /**
+     * Re-read what other tabs saved; the storage listener may not have run yet
+     */
+    async _refreshFromStorage() {
+        this._applyStored(await this._loadFromStorage());
+    }
+
+    /**
+     * Take stored values written by any tab. Session counts stay this tab's own.
+     */
+    _applyStored({ stats, history, limitUsage, dailyTotals }) {
+        if (stats?.global) {
+            const sites = {};
+            for (const [siteName, siteStats] of Object.entries(stats.sites || {})) {
+                sites[siteName] = { ...siteStats, sessionScrolls: this.stats.sites[siteName]?.sessionScrolls || 0 };
+            }
+            this.stats = {
+                ...stats,
+                global: { ...stats.global, sessionScrolls: this.stats.global.sessionScrolls },
+                sites
+            };
+        }
+        if (Array.isArray(history)) {
+            this.history = history;
+        }
+        if (limitUsage) {
+            this.limitUsage = limitUsage;
+        }
+        if (dailyTotals) {
+            this.dailyTotals = dailyTotals;
+        }
+    }
+
+    /**
+     * Save stats, history, limit usage and daily totals to storage
      */
     async _saveToStorage() {
         return new Promise((resolve) => {
             if (typeof chrome !== 'undefined' && chrome.storage?.local) {
-                chrome.storage.local.set({ stats: this.stats }, () => {
+                const data = {
+                    stats: this.stats,
+                    history: this.history,
+                    limitUsage: this.limitUsage,
+                    dailyTotals: this.dailyTotals
+                };
+                chrome.storage.local.set(data, () => {
                     resolve();
                 });
             } else {
@@ -77,8 +165,17 @@ class StatsManager {
 
     /**
      * Record a scroll event
+     * @param {string} siteName
+     * @param {Object} details - Optional history details: url, pageType, videoId and
+     *     author (from the adapter's metadata), duration, watchedTime (seconds), endReason,
+     *     method, attempt, and skipped for videos scrolled past without playing out
+     *     (endReason is then the skip reason, skipMatch the skip list entry that
+     *     matched), and sponsored for ads
      */
-    async recordScroll(siteName) {
+    async recordScroll(siteName, details = {}) {
+        // Count on top of what other tabs recorded, so their totals aren't overwritten
+        await this._refreshFromStorage();
+
         const now = Date.now();
 
         // Update global stats
@@ -99,10 +196,297 @@ class StatsManager {
         this.stats.sites[siteName].sessionScrolls++;
         this.stats.sites[siteName].lastScrollTime = now;
 
+        if (details.skipped) {
+            this._countSkip(this.stats.global, details.endReason);
+            this._countSkip(this.stats.sites[siteName], details.endReason);
+
+            // Skipped ads get their own total on top of the per-reason count
+            if (details.sponsored) {
+                this.stats.global.adsSkipped = (this.stats.global.adsSkipped || 0) + 1;
+                this.stats.sites[siteName].adsSkipped = (this.stats.sites[siteName].adsSkipped || 0) + 1;
+            }
+        }
+
+        const entry = {
+            timestamp: now,
+            site: siteName,
+            url: details.url ?? null,
+            pageType: details.pageType ?? null,
+            videoId: details.videoId ?? null,
+            author: details.author ?? null,
+            duration: this._roundSeconds(details.duration),
+            watchedTime: this._roundSeconds(details.watchedTime),
+            endReason: details.endReason ?? null,
+            method: details.method ?? null,
+            attempt: details.attempt ?? null,
+            skipped: Boolean(details.skipped),
+            skipMatch: details.skipMatch ?? null,
+            sponsored: Boolean(details.sponsored)
+        };
+        this._addHistoryEntry(entry);
+        this._countLimitUsage(entry, now);
+        this._countDailyTotals(entry);
+
         await this._saveToStorage();
         logger.debug(`Scroll recorded for ${siteName}:`, this.stats.sites[siteName]);
     }
 
+    /**
+     * Count a skip by reason; stats saved before skips were counted have no map yet
+     */
+    _countSkip(stats, reason) {
+        const key = reason || 'unknown';
+        stats.skipped = stats.skipped || {};
+        stats.skipped[key] = (stats.skipped[key] || 0) + 1;
+    }
+
+    /**
+     * Skipped videos by reason, for one site or all sites
+     * @param {string} siteName - Optional site
+     * @returns {Object} reason -> count
+     */
+    getSkipCounts(siteName = null) {
+        const stats = siteName ? this.stats.sites[siteName] : this.stats.global;
+        return { ...(stats?.skipped || {}) };
+    }
+
+    /**
+     * Number of ads skipped, for one site or all sites
+     * @param {string} siteName - Optional site
+     * @returns {number}
+     */
+    getAdsSkipped(siteName = null) {
+        const stats = siteName ? this.stats.sites[siteName] : this.stats.global;
+        return stats?.adsSkipped || 0;
+    }
+
+    /**
+     * Append a history entry, dropping the oldest beyond the limit
+     */
+    _addHistoryEntry(entry) {
+        this.history.push(entry);
+        if (this.history.length > MAX_HISTORY_ENTRIES) {
+            this.history.splice(0, this.history.length - MAX_HISTORY_ENTRIES);
+        }
+    }
+
+    /**
+     * Add a history entry to its hour's limit usage, dropping buckets past the retention.
+     * Only videos scrolled past automatically after playing count toward maxVideosPerDay;
+     * watched time counts however the video was left.
+     */
+    _countLimitUsage(entry, now = Date.now()) {
+        if (now - entry.timestamp >= LIMIT_USAGE_RETENTION_MS) return;
+
+        const hour = new Date(entry.timestamp);
+        hour.setMinutes(0, 0, 0);
+        const bucket = this.limitUsage[hour.getTime()] || (this.limitUsage[hour.getTime()] = { videos: 0, watchedTime: {} });
+
+        if (!entry.skipped && entry.endReason !== 'manual') {
+            bucket.videos++;
+        }
+        bucket.watchedTime[entry.site] = (bucket.watchedTime[entry.site] || 0) + (entry.watchedTime || 0);
+
+        for (const start of Object.keys(this.limitUsage)) {
+            if (now - Number(start) >= LIMIT_USAGE_RETENTION_MS) {
+                delete this.limitUsage[start];
+            }
+        }
+    }
+
+    /**
+     * Add a history entry to its day's totals, overall and for its site
+     */
+    _countDailyTotals(entry) {
+        const key = this._getDayKey(entry.timestamp);
+        const day = this.dailyTotals[key] || (this.dailyTotals[key] = { scrolls: 0, watchedTime: 0, sites: {} });
+        const site = day.sites[entry.site] || (day.sites[entry.site] = { scrolls: 0, watchedTime: 0 });
+
+        for (const totals of [day, site]) {
+            totals.scrolls++;
+            totals.watchedTime += entry.watchedTime || 0;
+        }
+    }
+
+    /**
+     * Local date of a timestamp as 'YYYY-MM-DD'
+     */
+    _getDayKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Round a time in seconds to one decimal, or null if unknown
+     */
+    _roundSeconds(value) {
+        return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+    }
+
+    /**
+     * Get the scroll history, oldest first
+     * @param {string} siteName - Optional site to filter by
+     */
+    getHistory(siteName = null) {
+        return siteName
+            ? this.history.filter((entry) => entry.site === siteName)
+            : this.history;
+    }
+
+    /**
+     * Clear the scroll history and the daily totals built from it
+     */
+    async clearHistory() {
+        this.history = [];
+        this.dailyTotals = {};
+        await this._saveToStorage();
+        logger.debug('Scroll history cleared');
+    }
+
+    // ==================== History Aggregation ====================
+
+    /**
+     * Scrolls and watched seconds per day for the last `days` days, oldest first
+     */
+    getDailyTotals(days = 14, now = Date.now()) {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        return this._aggregateBuckets(today, days, 1);
+    }
+
+    /**
+     * Scrolls and watched seconds per week (starting Monday) for the last `weeks` weeks, oldest first
+     */
+    getWeeklyTotals(weeks = 8, now = Date.now()) {
+        const monday = new Date(now);
+        monday.setHours(0, 0, 0, 0);
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+        return this._aggregateBuckets(monday, weeks, 7);
+    }
+
+    /**
+     * Build `count` consecutive buckets of `stepDays` ending with the one starting at `last`
+     */
+    _aggregateBuckets(last, count, stepDays) {
+        const buckets = [];
+
+        for (let i = count - 1; i >= 0; i--) {
+            const start = new Date(last);
+            start.setDate(start.getDate() - i * stepDays);
+            const end = new Date(start);
+            end.setDate(end.getDate() + stepDays);
+
+            buckets.push({ start: start.getTime(), end: end.getTime(), scrolls: 0, watchedTime: 0 });
+        }
+
+        for (const [key, day] of Object.entries(this.dailyTotals)) {
+            const [year, month, date] = key.split('-').map(Number);
+            const dayStart = new Date(year, month - 1, date).getTime();
+            const bucket = buckets.find((b) => dayStart >= b.start && dayStart < b.end);
+            if (bucket) {
+                bucket.scrolls += day.scrolls;
+                bucket.watchedTime += day.watchedTime;
+            }
+        }
+
+        return buckets;
+    }
+
+    /**
+     * Scrolls and watched seconds per site over every recorded day
+     */
+    getSiteTotals() {
+        const totals = {};
+
+        for (const day of Object.values(this.dailyTotals)) {
+            for (const [siteName, siteDay] of Object.entries(day.sites)) {
+                const site = totals[siteName] || (totals[siteName] = { scrolls: 0, watchedTime: 0 });
+                site.scrolls += siteDay.scrolls;
+                site.watchedTime += siteDay.watchedTime;
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Totals over every recorded day, and averages over the scroll history.
+     * Sessions are runs of scrolls without a gap longer than SESSION_GAP_MS.
+     */
+    getAverages() {
+        let sessions = 0;
+        let previous = null;
+        for (const entry of this.history) {
+            if (previous === null || entry.timestamp - previous > SESSION_GAP_MS) {
+                sessions++;
+            }
+            previous = entry.timestamp;
+        }
+
+        const mean = (key) => {
+            const values = this.history.map((entry) => entry[key]).filter(Number.isFinite);
+            return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        };
+
+        const days = Object.values(this.dailyTotals);
+
+        return {
+            totalScrolls: days.reduce((sum, day) => sum + day.scrolls, 0),
+            totalWatchedTime: days.reduce((sum, day) => sum + day.watchedTime, 0),
+            sessions,
+            videosPerSession: sessions > 0 ? this.history.length / sessions : null,
+            meanDuration: mean('duration'),
+            meanWatchedTime: mean('watchedTime')
+        };
+    }
+
+    // ==================== Daily Limits ====================
+
+    /**
+     * Check today's usage against the `limits` settings
+     * @param {Object} limits - { maxVideosPerDay, maxMinutesPerSite, resetHour }
+     * @param {string} siteName - Site whose watch time counts toward maxMinutesPerSite
+     * @returns {{reached: boolean, reason: string|null, videos: number, minutes: number, resetsAt: number}}
+     */
+    getLimitStatus(limits = {}, siteName = null, now = Date.now()) {
+        const periodStart = this._getLimitPeriodStart(limits.resetHour || 0, now);
+        const resetsAt = new Date(periodStart);
+        resetsAt.setDate(resetsAt.getDate() + 1);
+
+        let videos = 0;
+        let seconds = 0;
+        for (const [start, bucket] of Object.entries(this.limitUsage)) {
+            if (Number(start) < periodStart) continue;
+            videos += bucket.videos;
+            seconds += bucket.watchedTime[siteName] || 0;
+        }
+
+        const minutes = seconds / 60;
+        let reason = null;
+        if (limits.maxVideosPerDay > 0 && videos >= limits.maxVideosPerDay) {
+            reason = 'videos';
+        } else if (limits.maxMinutesPerSite > 0 && minutes >= limits.maxMinutesPerSite) {
+            reason = 'minutes';
+        }
+
+        return { reached: reason !== null, reason, videos, minutes, resetsAt: resetsAt.getTime() };
+    }
+
+    /**
+     * Start of the current limit day: the latest `resetHour` o'clock at or before `now`
+     */
+    _getLimitPeriodStart(resetHour, now) {
+        const start = new Date(now);
+        start.setHours(resetHour, 0, 0, 0);
+        if (start.getTime() > now) {
+            start.setDate(start.getDate() - 1);
+        }
+        return start.getTime();
+    }
+
     /**
      * Get stats for a specific site
      */
@@ -140,7 +524,7 @@ class StatsManager {
     }
 
     /**
-     * Reset all stats
+     * Reset all stats (the history log is kept; see clearHistory)
      */
     async resetAllStats() {
         this.stats = {
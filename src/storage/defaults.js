@@ -2,12 +2,17 @@
  * Default settings and constants for AutoScroll extension
  */
 
+// Bump when the stored shape changes and add a migration in SettingsManager
+export const SETTINGS_SCHEMA_VERSION = 4;
+
 export const DEFAULT_SETTINGS = {
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+
     // Global
     globalEnabled: true,
     theme: 'dark', // 'light', 'dark', 'system'
 
-    // Per-site enables
+    // Per-site enables; each entry may also override SITE_OVERRIDABLE_KEYS
     sites: {
         instagram: { enabled: true },
         youtube: { enabled: true },
@@ -20,16 +25,32 @@ export const DEFAULT_SETTINGS = {
     delayAfterEnd: 600,      // ms
     randomExtraDelay: 200,   // ms (max random addition)
 
+    // Playback speed applied to every video; the speed hotkeys change it for the page
+    playbackRate: 1,
+
+    // Scroll only after a video has played `loops` times and for `minWatchTime` seconds in total
+    watchTarget: {
+        loops: 1,
+        minWatchTime: 0
+    },
+
     // Scroll behavior
     scrollFactor: 0.95,
     retryAttempts: 3,
 
-    // Hotkeys
+    // Hotkeys; bindings like 'Ctrl+Shift+J', 'Mod' is Ctrl or ⌘, '' disables the action
     hotkeys: {
         enabled: true,
-        togglePause: 'Space',
-        scrollNext: 'ArrowDown',
-        scrollPrev: 'ArrowUp'
+        togglePause: 'Alt+P',
+        scrollNext: 'Mod+ArrowDown',
+        scrollPrev: 'Mod+ArrowUp',
+        replay: 'Alt+R',
+        skipAhead: 'Alt+N',
+        skipCount: 3, // videos skipped by skipAhead
+        toggleMute: 'Alt+M',
+        speedUp: 'Alt+ArrowUp',
+        speedDown: 'Alt+ArrowDown',
+        like: 'Alt+L'
     },
 
     // Safety
@@ -40,8 +61,275 @@ export const DEFAULT_SETTINGS = {
         manualScrollCooldown: 2000 // ms
     },
 
+    // Daily limits; 0 means no limit
+    limits: {
+        maxVideosPerDay: 0,
+        maxMinutesPerSite: 0,
+        resetHour: 0 // local hour (0-23) when the day's counts start over
+    },
+
+    // Skip videos by length in seconds as soon as it is known; 0 turns a rule off.
+    // Ads are skipped once they have played for adGracePeriod seconds, and videos
+    // already watched to the end within watchedWithinDays days if skipWatched is on
+    skipRules: {
+        minDuration: 0,
+        maxDuration: 0,
+        skipAds: false,
+        adGracePeriod: 2,
+        skipWatched: false,
+        watchedWithinDays: 7
+    },
+
+    // Skip lists, keyed by site: creator handles as they appear in profile links,
+    // hashtags without the "#", and words or phrases matched as whole words in the caption
+    blockedCreators: {},
+    blockedHashtags: {},
+    blockedKeywords: {},
+
     // Debug
-    debugLogging: false
+    debugLogging: false,
+
+    // Named partial settings, keyed by id; activeProfile is an id or null
+    profiles: {
+        binge: {
+            name: 'Binge',
+            settings: {
+                delayAfterEnd: 0,
+                randomExtraDelay: 0,
+                safety: { pauseOnInteraction: false, stopOnManualScroll: false }
+            }
+        },
+        studyBreak: {
+            name: 'Study break',
+            settings: {
+                delayAfterEnd: 3000,
+                randomExtraDelay: 500,
+                safety: { pauseOnInteraction: true, stopOnManualScroll: true }
+            }
+        },
+        quiet: {
+            name: 'Quiet',
+            settings: {
+                delayAfterEnd: 1500,
+                hotkeys: { enabled: false },
+                safety: { stopOnTabInactive: true, pauseOnInteraction: true }
+            }
+        }
+    },
+    activeProfile: null
+};
+
+// Keys a site entry in `sites` may override; anything else is global-only
+export const SITE_OVERRIDABLE_KEYS = [
+    'delayAfterEnd',
+    'randomExtraDelay',
+    'playbackRate',
+    'watchTarget',
+    'scrollFactor',
+    'retryAttempts',
+    'safety',
+    'skipRules'
+];
+
+// Range of the playbackRate setting and the step of the speed hotkeys
+export const PLAYBACK_RATE_LIMITS = {
+    min: 0.25,
+    max: 3,
+    step: 0.25
+};
+
+// Skip list setting -> skip reason recorded in history, checked in this order
+export const SKIP_LISTS = {
+    blockedCreators: 'blocked_creator',
+    blockedHashtags: 'blocked_hashtag',
+    blockedKeywords: 'blocked_keyword'
+};
+
+/**
+ * Validation rules for DEFAULT_SETTINGS, enforced by SettingsManager.
+ * Rules: type ('boolean' | 'number' | 'string' | 'object' | 'array'), min, max,
+ * integer, enum, nullable, nested properties for objects, `values` for maps
+ * and `items` (a primitive type) for arrays.
+ */
+const TIMING_SCHEMA = {
+    delayAfterEnd: { type: 'number', min: 0, max: 5000, integer: true },
+    randomExtraDelay: { type: 'number', min: 0, max: 1000, integer: true }
+};
+
+const PLAYBACK_SCHEMA = {
+    playbackRate: { type: 'number', min: PLAYBACK_RATE_LIMITS.min, max: PLAYBACK_RATE_LIMITS.max },
+    watchTarget: {
+        type: 'object',
+        properties: {
+            loops: { type: 'number', min: 1, max: 10, integer: true },
+            minWatchTime: { type: 'number', min: 0, max: 600, integer: true }
+        }
+    }
+};
+
+const SCROLL_SCHEMA = {
+    scrollFactor: { type: 'number', min: 0.6, max: 1.5 },
+    retryAttempts: { type: 'number', min: 1, max: 5, integer: true }
+};
+
+const SAFETY_SCHEMA = {
+    type: 'object',
+    properties: {
+        stopOnTabInactive: { type: 'boolean' },
+        stopOnManualScroll: { type: 'boolean' },
+        pauseOnInteraction: { type: 'boolean' },
+        manualScrollCooldown: { type: 'number', min: 0, max: 10000, integer: true }
+    }
+};
+
+const SKIP_RULES_SCHEMA = {
+    type: 'object',
+    properties: {
+        minDuration: { type: 'number', min: 0, max: 60 },
+        maxDuration: { type: 'number', min: 0, max: 3600, integer: true },
+        skipAds: { type: 'boolean' },
+        adGracePeriod: { type: 'number', min: 0, max: 30 },
+        skipWatched: { type: 'boolean' },
+        watchedWithinDays: { type: 'number', min: 1, max: 30, integer: true }
+    }
+};
+
+// A site entry: its enable flag plus optional overrides of SITE_OVERRIDABLE_KEYS
+const SITE_SETTINGS_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        ...TIMING_SCHEMA,
+        ...PLAYBACK_SCHEMA,
+        ...SCROLL_SCHEMA,
+        safety: SAFETY_SCHEMA,
+        skipRules: SKIP_RULES_SCHEMA
+    }
+};
+
+// Settings a profile may set; profiles are layered between global and site values
+const PROFILE_SETTINGS_SCHEMA = {
+    globalEnabled: { type: 'boolean' },
+
+    sites: {
+        type: 'object',
+        properties: {
+            instagram: SITE_SETTINGS_SCHEMA,
+            youtube: SITE_SETTINGS_SCHEMA,
+            tiktok: SITE_SETTINGS_SCHEMA,
+            x: SITE_SETTINGS_SCHEMA,
+            facebook: SITE_SETTINGS_SCHEMA
+        }
+    },
+
+    ...TIMING_SCHEMA,
+    ...PLAYBACK_SCHEMA,
+    ...SCROLL_SCHEMA,
+
+    hotkeys: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            togglePause: { type: 'string' },
+            scrollNext: { type: 'string' },
+            scrollPrev: { type: 'string' },
+            replay: { type: 'string' },
+            skipAhead: { type: 'string' },
+            skipCount: { type: 'number', min: 2, max: 10, integer: true },
+            toggleMute: { type: 'string' },
+            speedUp: { type: 'string' },
+            speedDown: { type: 'string' },
+            like: { type: 'string' }
+        }
+    },
+
+    safety: SAFETY_SCHEMA,
+
+    skipRules: SKIP_RULES_SCHEMA,
+
+    limits: {
+        type: 'object',
+        properties: {
+            maxVideosPerDay: { type: 'number', min: 0, max: 500, integer: true },
+            maxMinutesPerSite: { type: 'number', min: 0, max: 1440, integer: true },
+            resetHour: { type: 'number', min: 0, max: 23, integer: true }
+        }
+    }
+};
+
+const PROFILE_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        settings: { type: 'object', properties: PROFILE_SETTINGS_SCHEMA }
+    }
+};
+
+export const SETTINGS_SCHEMA = {
+    schemaVersion: { type: 'number', min: 1, integer: true },
+    theme: { type: 'string', enum: ['light', 'dark', 'system'] },
+
+    ...PROFILE_SETTINGS_SCHEMA,
+
+    blockedCreators: { type: 'object', values: { type: 'array', items: 'string' } },
+    blockedHashtags: { type: 'object', values: { type: 'array', items: 'string' } },
+    blockedKeywords: { type: 'object', values: { type: 'array', items: 'string' } },
+
+    debugLogging: { type: 'boolean' },
+
+    // `values` validates every entry of a map keyed by profile id
+    profiles: { type: 'object', values: PROFILE_SCHEMA },
+    activeProfile: { type: 'string', nullable: true }
+};
+
+// Name of the runtime port content scripts open to the background service worker
+export const TAB_PORT_NAME = 'autoscroll-tab';
+
+// Keyboard shortcuts each site handles itself, used to warn about conflicting hotkeys
+export const SITE_SHORTCUTS = {
+    instagram: {
+        ArrowUp: 'Previous reel',
+        ArrowDown: 'Next reel'
+    },
+    youtube: {
+        Space: 'Play / pause',
+        K: 'Play / pause',
+        J: 'Rewind 10 seconds',
+        L: 'Forward 10 seconds',
+        ArrowLeft: 'Rewind 5 seconds',
+        ArrowRight: 'Forward 5 seconds',
+        ArrowUp: 'Previous Short',
+        ArrowDown: 'Next Short',
+        M: 'Mute',
+        F: 'Full screen',
+        C: 'Captions',
+        'Shift+N': 'Next video',
+        'Shift+P': 'Previous video'
+    },
+    tiktok: {
+        Space: 'Play / pause',
+        ArrowUp: 'Previous video',
+        ArrowDown: 'Next video',
+        L: 'Like',
+        M: 'Mute'
+    },
+    x: {
+        J: 'Next post',
+        K: 'Previous post',
+        L: 'Like',
+        R: 'Reply',
+        T: 'Repost',
+        M: 'Mute video',
+        Space: 'Page down',
+        '?': 'Shortcut help'
+    },
+    facebook: {
+        J: 'Next post',
+        K: 'Previous post',
+        L: 'Like',
+        Space: 'Play / pause',
+        '?': 'Shortcut help'
+    }
 };
 
 export const SITE_NAMES = {
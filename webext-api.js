@@ -65,6 +65,7 @@
   const tabsApi = rawApi && rawApi.tabs;
   const runtimeApi = rawApi && rawApi.runtime;
   const scriptingApi = rawApi && rawApi.scripting;
+  const commandsApi = rawApi && rawApi.commands;
 
   const api = {
     isSupported: Boolean(rawApi),
@@ -86,6 +87,15 @@
       }
       return callApi(scriptingApi.executeScript, scriptingApi, [details]);
     },
+    runtimeGetURL(path) {
+      if (!runtimeApi || typeof runtimeApi.getURL !== "function") {
+        return path;
+      }
+      return runtimeApi.getURL(path);
+    },
+    commandsGetAll() {
+      return callApi(commandsApi && commandsApi.getAll, commandsApi, []);
+    },
     runtimeSendMessage(message) {
       return callApi(runtimeApi && runtimeApi.sendMessage, runtimeApi, [message]);
     },